@@ -4,7 +4,31 @@ const cors = require("cors");
 const admin = require("firebase-admin");
 const functions = require("firebase-functions");
 const { onRequest } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { ZoomTokenService } = require("./services/zoomTokenService");
+const {
+  ApiError,
+  AuthenticationError,
+  ForbiddenError,
+  OAuthStateError,
+  ValidationError,
+  ZoomAuthModeError,
+  ZoomMeetingNotFoundError,
+  requestId,
+  notFound,
+  errorHandler,
+} = require("./services/errors");
+const { createTokenStores } = require("./services/tokenStore");
+const { ZoomWebhookService } = require("./services/zoomWebhookService");
+const { SdkSignatureService, SDK_TYPES, SDK_ROLES } = require("./services/sdkSignatureService");
+const { MeetingService } = require("./services/meetingService");
+const { MeetingLifecycle } = require("./services/meetingLifecycle");
+const { MeetingMetadata } = require("./services/meetingMetadata");
+const { AuthorizationService } = require("./services/authorizationService");
+const { RoleService } = require("./services/roleService");
+const { InvitationService } = require("./services/invitationService");
+const { AttendanceService, attendanceCsv } = require("./services/attendanceService");
+const { AuditLog } = require("./services/auditLog");
 
 admin.initializeApp();
 
@@ -20,20 +44,98 @@ const allowedDomains = (process.env.ZOOM_AUTHORIZED_DOMAINS || "")
   .filter((d) => d.length > 0);
 
 const zoomConfig = {
+  // "user" (per-user OAuth, default) or "account" (Server-to-Server OAuth)
+  authMode: process.env.ZOOM_AUTH_MODE || "user",
   clientId: process.env.ZOOM_CLIENT_ID || "",
   clientSecret: process.env.ZOOM_CLIENT_SECRET || "",
   redirectUri: process.env.ZOOM_REDIRECT_URI || "",
+  accountId: process.env.ZOOM_ACCOUNT_ID || "",
+  // HMAC key for OAuth state; falls back to the client secret when unset
+  stateSecret: process.env.ZOOM_OAUTH_STATE_SECRET || "",
+  // Keyring for sealing tokens at rest ("<keyId>:<base64 key>,...") + active key
+  tokenEncryptionKeys: process.env.ZOOM_TOKEN_ENCRYPTION_KEYS || "",
+  tokenEncryptionKeyId: process.env.ZOOM_TOKEN_ENCRYPTION_KEY_ID || "",
+  // Meeting SDK / Video SDK app credentials for POST /api/sdk/signature
+  sdkKey: process.env.ZOOM_SDK_KEY || "",
+  sdkSecret: process.env.ZOOM_SDK_SECRET || "",
 };
 
-if (!zoomConfig.clientId || !zoomConfig.clientSecret || !zoomConfig.redirectUri) {
-  const hint = "ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET, ZOOM_REDIRECT_URI";
+const isAccountMode = zoomConfig.authMode === "account";
+
+if (
+  !zoomConfig.clientId ||
+  !zoomConfig.clientSecret ||
+  !(isAccountMode ? zoomConfig.accountId : zoomConfig.redirectUri)
+) {
+  const hint = isAccountMode
+    ? "ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET, ZOOM_ACCOUNT_ID"
+    : "ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET, ZOOM_REDIRECT_URI";
   functions.logger.error("zoomApi", "Missing Zoom credentials", { hint });
   throw new Error(
     `Zoom credentials are missing (${hint}). Configure them in .env.`
   );
 }
 
-const zoomService = new ZoomTokenService(zoomConfig, db);
+// Account mode keeps no per-user tokens, so it can run without a keyring
+if (!isAccountMode && !zoomConfig.tokenEncryptionKeys) {
+  functions.logger.error("zoomApi", "Missing token encryption keys", {
+    hint: "ZOOM_TOKEN_ENCRYPTION_KEYS",
+  });
+  throw new Error("ZOOM_TOKEN_ENCRYPTION_KEYS is missing. Configure it in .env.");
+}
+
+// Where tokens live: "firestore" (default), "memory" (tests) or "file" (local dev)
+const tokenStores = createTokenStores({
+  backend: process.env.ZOOM_TOKEN_STORE || "firestore",
+  firestore: db,
+  directory: process.env.ZOOM_TOKEN_STORE_DIR,
+});
+
+// Append-only trail of token issuance, Zoom account changes and denials
+const auditLog = new AuditLog(db);
+
+const zoomService = new ZoomTokenService(zoomConfig, tokenStores, {
+  // Account mode: users without a zoomUserMappings entry match by verified email
+  resolveUserEmail: async (uid) => {
+    const user = await admin.auth().getUser(uid);
+    // Anyone can sign up with an unverified address, so only verified emails count
+    return user.emailVerified ? user.email || null : null;
+  },
+  // Records failed token refreshes and deauthorizations
+  audit: auditLog,
+  // Zoom API timeouts, retries and concurrency (unset values use the defaults)
+  http: {
+    timeoutMs: process.env.ZOOM_HTTP_TIMEOUT_MS,
+    maxRetries: process.env.ZOOM_HTTP_MAX_RETRIES,
+    maxConcurrency: process.env.ZOOM_HTTP_MAX_CONCURRENCY,
+  },
+});
+
+const sdkSignatures = new SdkSignatureService(zoomConfig);
+// scheduled -> live -> ended -> archived, or cancelled
+const lifecycle = new MeetingLifecycle(db);
+// Host, admitted participants and issued Zoom users on zoomMeetings (HTTP and WebSocket)
+const meetingMetadata = new MeetingMetadata(db);
+const meetingService = new MeetingService(zoomService, db, lifecycle);
+// Roles (admin / host / participant) from Firebase custom claims
+const roleService = new RoleService(admin.auth(), db, {
+  defaultRoles: process.env.ZOOM_DEFAULT_ROLES,
+});
+// Who may act for whom: self, registered delegates (zoomDelegates) and admins
+const authorization = new AuthorizationService(db, roleService, auditLog);
+// Per-meeting invitee lists; only invitees are issued OBF tokens
+const invitations = new InvitationService(db, admin.auth(), authorization);
+// Join/leave timelines from Zoom's participant events
+const attendance = new AttendanceService(db, zoomService);
+
+// Webhook secret token from the Zoom app's "Event Subscriptions" page
+const zoomWebhooks = new ZoomWebhookService(
+  process.env.ZOOM_WEBHOOK_SECRET_TOKEN || "",
+  db,
+  zoomService,
+  lifecycle,
+  attendance
+);
 
 // Deep link scheme for redirecting back to the Flutter app after OAuth
 const APP_DEEP_LINK = process.env.ZOOM_APP_DEEP_LINK || "zoomtest://oauth";
@@ -44,7 +146,15 @@ const APP_DEEP_LINK = process.env.ZOOM_APP_DEEP_LINK || "zoomtest://oauth";
 
 const app = express();
 app.use(cors({ origin: true }));
-app.use(express.json());
+app.use(requestId);
+// Keep the raw body around: Zoom webhook signatures are computed over it
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Health check (no auth)
 app.get("/api/health", (_req, res) => {
@@ -55,6 +165,11 @@ app.get("/api/health", (_req, res) => {
   });
 });
 
+/** Per-user OAuth routes are switched off for an account-level (S2S) app. */
+const requireUserAuthMode = (_req, _res, next) => {
+  next(zoomService.isAccountMode() ? new ZoomAuthModeError() : undefined);
+};
+
 // ---------------------------------------------------------------------------
 // Zoom OAuth browser redirect handler (NO Firebase auth -- Zoom redirects here)
 // ---------------------------------------------------------------------------
@@ -63,15 +178,17 @@ app.get("/api/health", (_req, res) => {
  * GET /api/auth/zoom/callback
  *
  * Zoom redirects the user's browser here after they approve the OAuth consent.
- * Query params: ?code=xxx&state=firebaseUid
+ * Query params: ?code=xxx&state=<signed nonce>
  *
- * The `state` param carries the Firebase UID so we know which user to store
- * tokens for. After exchanging the code, we redirect the browser to the
- * Flutter deep link so the app regains focus.
+ * The `state` param is the signed, single-use nonce issued by
+ * GET /api/auth/zoom/url. Consuming it resolves the Firebase UID to store
+ * tokens for; replayed, expired or tampered state is rejected. After
+ * exchanging the code, we redirect the browser to the Flutter deep link so
+ * the app regains focus.
  */
-app.get("/api/auth/zoom/callback", async (req, res) => {
+app.get("/api/auth/zoom/callback", requireUserAuthMode, async (req, res, next) => {
   const code = String(req.query.code || "").trim();
-  const state = String(req.query.state || "").trim(); // Firebase UID
+  const state = String(req.query.state || "").trim();
   const error = req.query.error;
 
   if (error) {
@@ -81,17 +198,42 @@ app.get("/api/auth/zoom/callback", async (req, res) => {
   }
 
   if (!code || !state) {
-    return res.status(400).json({ error: "Missing code or state in OAuth callback" });
+    return next(new ValidationError("Missing code or state in OAuth callback"));
+  }
+
+  let firebaseUid;
+  let codeVerifier;
+  try {
+    ({ firebaseUid, codeVerifier } = await zoomService.consumeOAuthState(state));
+  } catch (err) {
+    const reason = err instanceof OAuthStateError ? err.code : "state_verification_failed";
+    functions.logger.warn("zoomApi", "OAuth state rejected", {
+      code: reason,
+      error: err instanceof Error ? err.message : "unknown",
+    });
+    await auditLog.record("oauth.connect", auditContext(req), { outcome: "denied", error: err });
+    const params = new URLSearchParams({ success: "false", error: reason });
+    return res.redirect(`${APP_DEEP_LINK}?${params.toString()}`);
   }
 
   try {
-    const { zoomUserId } = await zoomService.exchangeCodeForTokens(code, state);
+    const { zoomUserId } = await zoomService.exchangeCodeForTokens(
+      code,
+      firebaseUid,
+      codeVerifier
+    );
 
     functions.logger.info("zoomApi", "OAuth callback success", {
-      firebaseUid: state,
+      firebaseUid,
       zoomUserId,
     });
 
+    await auditLog.record(
+      "oauth.connect",
+      { ...auditContext(req), actor: { uid: firebaseUid } },
+      { zoomUserId }
+    );
+
     const params = new URLSearchParams({
       success: "true",
       zoom_user_id: zoomUserId,
@@ -101,27 +243,80 @@ app.get("/api/auth/zoom/callback", async (req, res) => {
     functions.logger.error("zoomApi", "OAuth callback exchange failed", {
       error: err instanceof Error ? err.message : "unknown",
     });
+    await auditLog.record(
+      "oauth.connect",
+      { ...auditContext(req), actor: { uid: firebaseUid } },
+      { error: err }
+    );
     const params = new URLSearchParams({
       success: "false",
-      error: "token_exchange_failed",
+      error: err instanceof ApiError ? err.code : "token_exchange_failed",
     });
     return res.redirect(`${APP_DEEP_LINK}?${params.toString()}`);
   }
 });
 
+// ---------------------------------------------------------------------------
+// Zoom webhooks (NO Firebase auth -- verified by Zoom's signature instead)
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /api/webhooks/zoom
+ *
+ * Answers Zoom's endpoint URL validation challenge and handles signed events
+ * (app_deauthorized; meeting.started / ended / deleted move the meeting
+ * lifecycle; meeting.participant_joined / _left track who is in it).
+ * Retried deliveries are acknowledged once handled. Non-2xx responses make Zoom retry the delivery.
+ */
+app.post("/api/webhooks/zoom", async (req, res, next) => {
+  if (!zoomWebhooks.isConfigured()) {
+    return next(
+      new ApiError("webhooks_not_configured", "Zoom webhooks are not configured", { status: 503 })
+    );
+  }
+
+  const verified = zoomWebhooks.verifySignature(
+    req.rawBody,
+    req.headers["x-zm-request-timestamp"],
+    req.headers["x-zm-signature"]
+  );
+  if (!verified) {
+    functions.logger.warn("zoomApi", "Rejected Zoom webhook with invalid signature", {
+      event: req.body?.event,
+    });
+    return next(new ApiError("invalid_signature", "Invalid webhook signature", { status: 401 }));
+  }
+
+  const { event, payload } = req.body;
+  if (event === "endpoint.url_validation") {
+    return res.json(zoomWebhooks.urlValidationResponse(payload?.plainToken));
+  }
+
+  try {
+    await zoomWebhooks.handleEvent(req.body);
+    return res.json({ received: true });
+  } catch (error) {
+    functions.logger.error("zoomApi", "ZOOM_WEBHOOK_FAILED", {
+      event,
+      error: error instanceof Error ? error.message : "unknown",
+    });
+    return next(error);
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Firebase Auth middleware
 // ---------------------------------------------------------------------------
 
-const authenticate = async (req, res, next) => {
+const authenticate = async (req, _res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "Authorization header missing or malformed" });
+    return next(new AuthenticationError("Authorization header missing or malformed"));
   }
 
   const idToken = authHeader.split(" ")[1];
   if (!idToken) {
-    return res.status(401).json({ error: "Bearer token is required" });
+    return next(new AuthenticationError("Bearer token is required"));
   }
 
   try {
@@ -130,7 +325,7 @@ const authenticate = async (req, res, next) => {
     if (allowedDomains.length && decoded.email) {
       const emailDomain = (decoded.email.split("@")[1] || "").toLowerCase();
       if (!allowedDomains.includes(emailDomain)) {
-        return res.status(403).json({ error: "Email domain not authorized" });
+        return next(new ForbiddenError("Email domain not authorized", "domain_not_authorized"));
       }
     }
 
@@ -140,10 +335,38 @@ const authenticate = async (req, res, next) => {
     functions.logger.warn("zoomApi", "Firebase Auth verification failed", {
       error: error instanceof Error ? error.message : "unknown",
     });
-    return res.status(401).json({ error: "Invalid Firebase ID token" });
+    return next(new AuthenticationError("Invalid Firebase ID token"));
   }
 };
 
+/**
+ * Allow only users holding one of `roles` (admins always pass). ID tokens
+ * minted before the user's roles last changed get `token_refresh_required`,
+ * so the client refreshes its token and the new roles apply immediately.
+ * @param {...string} roles
+ */
+const requireRole = (...roles) => async (req, _res, next) => {
+  try {
+    await authorization.assertRole(req.user, roles, {
+      action: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      channel: "http",
+      requestId: req.id,
+      ip: req.ip,
+    });
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Who is making an HTTP request, for audit log entries.
+ * @param {import("express").Request} req
+ */
+function auditContext(req) {
+  return { actor: req.user, channel: "http", ip: req.ip, requestId: req.id };
+}
+
 const apiRouter = express.Router();
 apiRouter.use(authenticate);
 
@@ -151,160 +374,644 @@ apiRouter.use(authenticate);
 // Zoom OAuth endpoints (authenticated)
 // ---------------------------------------------------------------------------
 
-/** GET /api/auth/zoom/url -- returns the Zoom OAuth consent URL. */
-apiRouter.get("/auth/zoom/url", (req, res) => {
-  const state = req.user.uid;
-  const codeChallenge = req.query.code_challenge;
-  const url = zoomService.getAuthorizationURL(state, codeChallenge);
-  return res.json({ url, state });
+/**
+ * GET /api/auth/zoom/url -- returns the Zoom OAuth consent URL.
+ *
+ * `?pkce=true` makes the backend generate and keep the PKCE verifier itself;
+ * `?code_challenge=xxx` is still accepted from clients holding their own.
+ */
+apiRouter.get("/auth/zoom/url", requireUserAuthMode, async (req, res, next) => {
+  const clientChallenge = req.query.code_challenge;
+  const serverPkce = !clientChallenge && ["true", "1"].includes(String(req.query.pkce));
+
+  try {
+    const { state, codeChallenge } = await zoomService.createOAuthState(req.user.uid, {
+      pkce: serverPkce,
+    });
+    const url = zoomService.getAuthorizationURL(state, clientChallenge || codeChallenge);
+    return res.json({ url, state, pkce: Boolean(clientChallenge || codeChallenge) });
+  } catch (error) {
+    functions.logger.error("zoomApi", "ZOOM_OAUTH_URL_FAILED", {
+      error: error instanceof Error ? error.message : "unknown",
+    });
+    return next(error);
+  }
 });
 
-/** POST /api/auth/zoom/callback -- exchanges an auth code for tokens (from Flutter). */
-apiRouter.post("/auth/zoom/callback", async (req, res) => {
+/**
+ * POST /api/auth/zoom/callback -- exchanges an auth code for tokens (from Flutter).
+ * If the client forwards the `state` it received, it is consumed and must
+ * belong to the authenticated user; a server-held PKCE verifier is used from
+ * it. Clients running their own PKCE send `code_verifier` instead.
+ */
+apiRouter.post("/auth/zoom/callback", requireUserAuthMode, async (req, res, next) => {
   const code = String(req.body.code || "").trim();
+  const state = String(req.body.state || "").trim();
+  let codeVerifier = String(req.body.code_verifier || "").trim() || undefined;
   if (!code) {
-    return res.status(400).json({ error: "Authorization code is required" });
+    return next(new ValidationError("Authorization code is required"));
+  }
+
+  if (state) {
+    try {
+      const consumed = await zoomService.consumeOAuthState(state);
+      if (consumed.firebaseUid !== req.user.uid) {
+        throw new OAuthStateError("invalid_state", "OAuth state belongs to another user");
+      }
+      codeVerifier = consumed.codeVerifier || codeVerifier;
+    } catch (error) {
+      await auditLog.record("oauth.connect", auditContext(req), { outcome: "denied", error });
+      return next(error);
+    }
   }
 
   try {
-    const { zoomUserId } = await zoomService.exchangeCodeForTokens(code, req.user.uid);
-    return res.json({ success: true, message: "Zoom account connected", zoomUserId });
+    const { zoomUserId, isDefault } = await zoomService.exchangeCodeForTokens(
+      code,
+      req.user.uid,
+      codeVerifier
+    );
+    await auditLog.record("oauth.connect", auditContext(req), { zoomUserId });
+    return res.json({ success: true, message: "Zoom account connected", zoomUserId, isDefault });
   } catch (error) {
+    await auditLog.record("oauth.connect", auditContext(req), { error });
     functions.logger.error("zoomApi", "ZOOM_OAUTH_CALLBACK_FAILED", {
       error: error instanceof Error ? error.message : "unknown",
     });
-    return res.status(500).json({ error: "Failed to connect Zoom account" });
+    return next(error);
   }
 });
 
-/** GET /api/auth/zoom/status -- check if the user's Zoom account is linked. */
-apiRouter.get("/auth/zoom/status", async (req, res) => {
+/**
+ * GET /api/auth/zoom/status -- check if the user's Zoom account is linked,
+ * which scopes it granted and what those allow (`capabilities`). Top-level
+ * fields describe the default account; `accounts` lists every linked one. In
+ * account mode "linked" means the user maps to a Zoom user in the account.
+ */
+apiRouter.get("/auth/zoom/status", async (req, res, next) => {
   try {
     const status = await zoomService.isZoomConnected(req.user.uid);
     return res.json(status);
   } catch (error) {
-    return res.status(500).json({ error: "Failed to check Zoom status" });
+    return next(error);
   }
 });
 
-/** POST /api/auth/zoom/disconnect -- remove stored Zoom tokens. */
-apiRouter.post("/auth/zoom/disconnect", async (req, res) => {
+/**
+ * POST /api/auth/zoom/default -- make a linked Zoom account the default.
+ * Body: { zoomUserId } (Zoom user ID or email of a linked account).
+ */
+apiRouter.post("/auth/zoom/default", requireUserAuthMode, async (req, res, next) => {
+  const zoomUserId = String(req.body.zoomUserId || "").trim();
+  if (!zoomUserId) {
+    return next(new ValidationError("zoomUserId is required"));
+  }
+
   try {
-    await zoomService.disconnectZoom(req.user.uid);
-    return res.json({ success: true, message: "Zoom account disconnected" });
+    const result = await zoomService.setDefaultAccount(req.user.uid, zoomUserId);
+    return res.json({ success: true, defaultZoomUserId: result.zoomUserId });
   } catch (error) {
-    return res.status(500).json({ error: "Failed to disconnect Zoom account" });
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/auth/zoom/disconnect -- revoke grants at Zoom and remove stored
+ * tokens. Body: { zoomUserId? } disconnects one linked account; without it
+ * every linked account is disconnected. `remoteRevoked` reports whether Zoom
+ * accepted every revocation; local tokens are removed either way.
+ */
+apiRouter.post("/auth/zoom/disconnect", requireUserAuthMode, async (req, res, next) => {
+  const zoomUserId = String(req.body.zoomUserId || "").trim() || undefined;
+
+  try {
+    const results = await zoomService.disconnectZoom(req.user.uid, zoomUserId);
+    await Promise.all(
+      results.map((r) =>
+        auditLog.record("oauth.disconnect", auditContext(req), {
+          zoomUserId: r.zoomUserId,
+          details: { remoteRevoked: r.revoked },
+        })
+      )
+    );
+    const revokeError = results.find((r) => r.error)?.error;
+    return res.json({
+      success: true,
+      message: "Zoom account disconnected",
+      remoteRevoked: results.every((r) => r.revoked),
+      ...(revokeError ? { revokeError } : {}),
+      disconnected: results.map((r) => ({
+        zoomUserId: r.zoomUserId,
+        remoteRevoked: r.revoked,
+        ...(r.error ? { revokeError: r.error } : {}),
+      })),
+    });
+  } catch (error) {
+    await auditLog.record("oauth.disconnect", auditContext(req), { zoomUserId, error });
+    return next(error);
   }
 });
 
 // ---------------------------------------------------------------------------
-// Meeting token endpoints
+// Admin: roles (admin / host / participant) and groups (custom claims)
 // ---------------------------------------------------------------------------
 
-async function storeMeetingMetadata(meetingId, requester, metadata) {
-  if (!requester) return;
-  await db
-    .collection("zoomMeetings")
-    .doc(meetingId)
-    .set(
-      {
-        ...metadata,
-        requestedBy: requester.uid,
-        requestedByEmail: requester.email || null,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
+/** GET /api/admin/users/:uid/roles -- a user's effective roles. */
+apiRouter.get("/admin/users/:uid/roles", requireRole("admin"), async (req, res, next) => {
+  try {
+    return res.json(await roleService.getRoles(req.params.uid));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** PUT /api/admin/users/:uid/roles/:role -- grant a role. */
+apiRouter.put("/admin/users/:uid/roles/:role", requireRole("admin"), async (req, res, next) => {
+  try {
+    const result = await roleService.grantRole(req.params.uid, req.params.role, req.user.uid);
+    return res.json(result);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** DELETE /api/admin/users/:uid/roles/:role -- revoke a role. */
+apiRouter.delete("/admin/users/:uid/roles/:role", requireRole("admin"), async (req, res, next) => {
+  try {
+    const result = await roleService.revokeRole(req.params.uid, req.params.role, req.user.uid);
+    return res.json(result);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** GET /api/admin/users/:uid/groups -- the groups a user belongs to (for group invitations). */
+apiRouter.get("/admin/users/:uid/groups", requireRole("admin"), async (req, res, next) => {
+  try {
+    return res.json(await roleService.getGroups(req.params.uid));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** PUT /api/admin/users/:uid/groups/:group -- add a user to a group. */
+apiRouter.put("/admin/users/:uid/groups/:group", requireRole("admin"), async (req, res, next) => {
+  try {
+    const result = await roleService.addGroup(req.params.uid, req.params.group, req.user.uid);
+    return res.json(result);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** DELETE /api/admin/users/:uid/groups/:group -- remove a user from a group. */
+apiRouter.delete(
+  "/admin/users/:uid/groups/:group",
+  requireRole("admin"),
+  async (req, res, next) => {
+    try {
+      const result = await roleService.removeGroup(req.params.uid, req.params.group, req.user.uid);
+      return res.json(result);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// Admin: audit log
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/admin/audit-log -- audit entries, newest first. Filters: `userId`
+ * (actor or subject), `meetingId`, `from` / `to` (ISO 8601); paginated with
+ * `pageSize` (1-200, default 50) and `pageToken`.
+ */
+apiRouter.get("/admin/audit-log", requireRole("admin"), async (req, res, next) => {
+  const { userId, meetingId, from, to, pageSize, pageToken } = req.query;
+  try {
+    return res.json(await auditLog.query({ userId, meetingId, from, to, pageSize, pageToken }));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Admin: Zoom API stats
+// ---------------------------------------------------------------------------
+
+/** GET /api/admin/zoom-api-stats -- this instance's per-endpoint Zoom API counters. */
+apiRouter.get("/admin/zoom-api-stats", requireRole("admin"), (_req, res) => {
+  res.json({ zoomApi: zoomService.http.getStats() });
+});
+
+// ---------------------------------------------------------------------------
+// Delegates (users allowed to request tokens on the caller's behalf)
+// ---------------------------------------------------------------------------
+
+/** GET /api/delegates -- users allowed to act for the caller. */
+apiRouter.get("/delegates", requireRole("host"), async (req, res, next) => {
+  try {
+    const delegates = await authorization.listDelegates(req.user.uid);
+    return res.json({ hostFirebaseUid: req.user.uid, delegates });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** PUT /api/delegates/:delegateUid -- allow a user to act for the caller. */
+apiRouter.put("/delegates/:delegateUid", requireRole("host"), async (req, res, next) => {
+  try {
+    const delegates = await authorization.addDelegate(req.user.uid, req.params.delegateUid);
+    return res.json({ hostFirebaseUid: req.user.uid, delegates });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** DELETE /api/delegates/:delegateUid -- withdraw a delegate. */
+apiRouter.delete("/delegates/:delegateUid", requireRole("host"), async (req, res, next) => {
+  try {
+    const delegates = await authorization.removeDelegate(req.user.uid, req.params.delegateUid);
+    return res.json({ hostFirebaseUid: req.user.uid, delegates });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Meeting management (schedule / update / cancel / list on the host's Zoom account)
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/meetings/upcoming -- the caller's upcoming and live meetings,
+ * live first then soonest, for a meeting picker.
+ * Query: pageSize? (1-100, default 20), pageToken? (from nextPageToken),
+ * zoomUserId? (linked account; default account otherwise).
+ */
+apiRouter.get("/meetings/upcoming", requireRole("host"), async (req, res, next) => {
+  const zoomUserId = String(req.query.zoomUserId || "").trim() || undefined;
+  try {
+    const page = await meetingService.listUpcomingMeetings(req.user.uid, {
+      zoomUserId,
+      pageSize: req.query.pageSize,
+      pageToken: req.query.pageToken,
+    });
+    return res.json(page);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/meetings -- schedule a meeting on the caller's Zoom account.
+ * Body: topic, startTime?, duration?, timezone?, agenda?, password?, settings?
+ * and an optional `zoomUserId` choosing the linked account.
+ */
+apiRouter.post("/meetings", requireRole("host"), async (req, res, next) => {
+  const zoomUserId = String(req.body.zoomUserId || "").trim() || undefined;
+  try {
+    const meeting = await meetingService.createMeeting(req.user.uid, req.body, { zoomUserId });
+    return res.status(201).json(meeting);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** PATCH /api/meetings/:meetingId -- update a meeting the caller created. */
+apiRouter.patch("/meetings/:meetingId", requireRole("host"), async (req, res, next) => {
+  try {
+    const meeting = await meetingService.updateMeeting(
+      req.user.uid,
+      req.params.meetingId,
+      req.body
+    );
+    return res.json(meeting);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** DELETE /api/meetings/:meetingId -- cancel a meeting the caller created. */
+apiRouter.delete("/meetings/:meetingId", requireRole("host"), async (req, res, next) => {
+  try {
+    const result = await meetingService.cancelMeeting(req.user.uid, req.params.meetingId);
+    return res.json(result);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/state -- the meeting's lifecycle state and
+ * its transitions. For its invitees and those who may manage it.
+ */
+apiRouter.get(
+  "/meetings/:meetingId/state",
+  requireRole("participant", "host"),
+  async (req, res, next) => {
+    const { meetingId } = req.params;
+    try {
+      if (!(await invitations.findInvitation(meetingId, req.user))) {
+        await authorization.assertCanManageMeeting(req.user, meetingId, {
+          action: "meetings.state",
+          channel: "http",
+          requestId: req.id,
+          ip: req.ip,
+        });
+      }
+      return res.json(await lifecycle.getState(meetingId));
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/** POST /api/meetings/:meetingId/archive -- archive a meeting that has ended. */
+apiRouter.post("/meetings/:meetingId/archive", requireRole("host"), async (req, res, next) => {
+  const { meetingId } = req.params;
+  try {
+    await authorization.assertCanManageMeeting(req.user, meetingId, {
+      action: "meetings.archive",
+      channel: "http",
+      requestId: req.id,
+      ip: req.ip,
+    });
+    await lifecycle.transition(meetingId, "archived", { source: "api", actorUid: req.user.uid });
+    return res.json(await lifecycle.getState(meetingId));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/attendance -- who joined, when and for how
+ * long, and who was issued a token but never joined. `?instance=` picks a
+ * meeting instance (default: the latest); `?format=csv` returns the same
+ * per-person rows as a CSV download.
+ */
+apiRouter.get("/meetings/:meetingId/attendance", requireRole("host"), async (req, res, next) => {
+  const { meetingId } = req.params;
+  const format = String(req.query.format || "json");
+  const instance = req.query.instance;
+  if (!["json", "csv"].includes(format)) {
+    return next(new ValidationError("format must be json or csv"));
+  }
+  if (instance !== undefined && (typeof instance !== "string" || instance.length === 0)) {
+    return next(new ValidationError("instance must be a meeting instance UUID"));
+  }
+
+  try {
+    await authorization.assertCanManageMeeting(req.user, meetingId, {
+      action: "meetings.attendance",
+      channel: "http",
+      requestId: req.id,
+      ip: req.ip,
+    });
+    const report = await attendance.getAttendance(meetingId, { instance });
+    if (format === "csv") {
+      return res
+        .type("text/csv")
+        .attachment(`attendance-${meetingId}.csv`)
+        .send(attendanceCsv(report));
+    }
+    return res.json(report);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Invitees (who may be issued OBF tokens for a meeting)
+// ---------------------------------------------------------------------------
+
+/** Require that the caller may manage the invitees of :meetingId. */
+function assertCanManageInvitees(req) {
+  return authorization.assertCanManageMeeting(req.user, req.params.meetingId, {
+    action: "meetings.invitees",
+    channel: "http",
+    requestId: req.id,
+    ip: req.ip,
+  });
+}
+
+/** GET /api/meetings/:meetingId/invitees -- the meeting's invitees and their answers. */
+apiRouter.get("/meetings/:meetingId/invitees", requireRole("host"), async (req, res, next) => {
+  try {
+    await assertCanManageInvitees(req);
+    const invitees = await invitations.listInvitees(req.params.meetingId);
+    return res.json({ meetingId: req.params.meetingId, invitees });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:meetingId/invitees -- invite users to a meeting.
+ * Body: invitees: [{ firebaseUid } | { email } | { group }]
+ */
+apiRouter.post("/meetings/:meetingId/invitees", requireRole("host"), async (req, res, next) => {
+  try {
+    await assertCanManageInvitees(req);
+    const invitees = await invitations.addInvitees(
+      req.params.meetingId,
+      req.body.invitees,
+      req.user.uid
     );
+    return res.json({ meetingId: req.params.meetingId, invitees });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/** DELETE /api/meetings/:meetingId/invitees/:inviteeId -- withdraw an invitation. */
+apiRouter.delete(
+  "/meetings/:meetingId/invitees/:inviteeId",
+  requireRole("host"),
+  async (req, res, next) => {
+    try {
+      await assertCanManageInvitees(req);
+      const invitees = await invitations.removeInvitee(
+        req.params.meetingId,
+        req.params.inviteeId
+      );
+      return res.json({ meetingId: req.params.meetingId, invitees });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/** Handler recording the caller's answer to their invitation. */
+function answerInvitation(response) {
+  return async (req, res, next) => {
+    try {
+      const invitation = await invitations.respond(req.params.meetingId, req.user, response);
+      return res.json({ meetingId: req.params.meetingId, invitation });
+    } catch (error) {
+      return next(error);
+    }
+  };
 }
 
-/** POST /api/meetings/start -- issue ZAK token for the authenticated user. */
-apiRouter.post("/meetings/start", async (req, res) => {
+/** POST /api/meetings/:meetingId/invitation/accept -- accept an invitation. */
+apiRouter.post(
+  "/meetings/:meetingId/invitation/accept",
+  requireRole("participant", "host"),
+  answerInvitation("accepted")
+);
+
+/** POST /api/meetings/:meetingId/invitation/decline -- decline an invitation. */
+apiRouter.post(
+  "/meetings/:meetingId/invitation/decline",
+  requireRole("participant", "host"),
+  answerInvitation("declined")
+);
+
+// ---------------------------------------------------------------------------
+// Meeting token endpoints
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /api/meetings/start -- issue ZAK token for the authenticated user,
+ * once Zoom confirms their account is the meeting's host or an alternative host.
+ * Optional `zoomUserId` picks which linked Zoom account hosts (default account otherwise).
+ */
+apiRouter.post("/meetings/start", requireRole("host"), async (req, res, next) => {
   const meetingId = String(req.body.meetingId || "").trim();
+  const selectedZoomUserId = String(req.body.zoomUserId || "").trim() || undefined;
   if (!meetingId) {
-    return res.status(400).json({ error: "meetingId is required" });
+    return next(new ValidationError("meetingId is required"));
   }
 
   try {
-    const { zakToken, zoomUserId } = await zoomService.getZAKToken(req.user.uid);
-    await storeMeetingMetadata(meetingId, req.user, {
-      hostZoomUserId: zoomUserId,
-      lastZakIssuedAt: admin.firestore.FieldValue.serverTimestamp(),
+    await lifecycle.assertOpen(meetingId);
+    const verified = await meetingService.verifyHost(req.user.uid, meetingId, {
+      zoomUserId: selectedZoomUserId,
+    });
+    const { zakToken, zoomUserId, expiresAt, expiresIn } = await zoomService.getZAKToken(
+      req.user.uid,
+      { zoomUserId: verified.zoomUserId }
+    );
+    await meetingMetadata.recordZak(meetingId, req.user, {
+      hostFirebaseUid: req.user.uid,
+      zoomUserId,
     });
 
-    return res.json({ meetingId, host: zoomUserId, zakToken });
+    await auditLog.record("token.zak", auditContext(req), { meetingId, zoomUserId });
+    return res.json({ meetingId, host: zoomUserId, zakToken, expiresAt, expiresIn });
   } catch (error) {
+    await auditLog.record("token.zak", auditContext(req), { meetingId, error });
     functions.logger.error("zoomApi", "ZOOM_ZAK_THROWN", {
       error: error instanceof Error ? error.message : "unknown",
       meetingId,
     });
-    const message = error instanceof Error ? error.message : "Unable to issue ZAK token";
-    return res.status(500).json({ error: message });
+    return next(error);
   }
 });
 
-/** POST /api/meetings/join -- issue OBF token for the authenticated user. */
-apiRouter.post("/meetings/join", async (req, res) => {
+/**
+ * POST /api/meetings/join -- issue OBF token for the authenticated user, if
+ * they are invited to the meeting (or own it) and haven't declined.
+ * Optional `zoomUserId` picks which linked Zoom account joins (default account otherwise).
+ */
+apiRouter.post("/meetings/join", requireRole("participant", "host"), async (req, res, next) => {
   const meetingId = String(req.body.meetingId || "").trim();
+  const selectedZoomUserId = String(req.body.zoomUserId || "").trim() || undefined;
   if (!meetingId) {
-    return res.status(400).json({ error: "meetingId is required" });
+    return next(new ValidationError("meetingId is required"));
   }
 
   try {
-    const { obfToken, zoomUserId } = await zoomService.getOBFToken(
+    await lifecycle.assertOpen(meetingId);
+    await invitations.assertInvited(meetingId, req.user.uid, {
+      user: req.user,
+      context: { action: "meetings.join", channel: "http", requestId: req.id, ip: req.ip },
+    });
+    const { obfToken, zoomUserId, expiresAt, expiresIn } = await zoomService.getOBFToken(
       req.user.uid,
-      meetingId
+      meetingId,
+      { zoomUserId: selectedZoomUserId }
     );
-    await storeMeetingMetadata(meetingId, req.user, {
-      lastObfIssuedAt: admin.firestore.FieldValue.serverTimestamp(),
-      participantZoomUserId: zoomUserId,
+    await meetingMetadata.recordObf(meetingId, req.user, {
+      firebaseUid: req.user.uid,
+      zoomUserId,
     });
 
-    return res.json({ meetingId, participant: zoomUserId, obfToken });
+    await auditLog.record("token.obf", auditContext(req), { meetingId, zoomUserId });
+    return res.json({ meetingId, participant: zoomUserId, obfToken, expiresAt, expiresIn });
   } catch (error) {
+    await auditLog.record("token.obf", auditContext(req), { meetingId, error });
     functions.logger.error("zoomApi", "ZOOM_OBF_THROWN", {
       error: error instanceof Error ? error.message : "unknown",
       meetingId,
     });
-    const message = error instanceof Error ? error.message : "Unable to issue OBF token";
-    return res.status(500).json({ error: message });
+    return next(error);
   }
 });
 
-/** POST /api/meetings/batch-join -- issue OBF tokens for multiple users. */
-apiRouter.post("/meetings/batch-join", async (req, res) => {
+/**
+ * POST /api/meetings/batch-join -- issue OBF tokens for multiple users.
+ * Only for callers allowed to act for the meeting's owner (see AuthorizationService);
+ * participants who are not invited are listed under `failed`.
+ */
+apiRouter.post("/meetings/batch-join", requireRole("host"), async (req, res, next) => {
   const meetingId = String(req.body.meetingId || "").trim();
   const participantUids = (Array.isArray(req.body.participants) ? req.body.participants : [])
     .map((v) => (typeof v === "string" ? v.trim() : ""))
     .filter((v) => v.length > 0);
 
   if (!meetingId || participantUids.length === 0) {
-    return res.status(400).json({
-      error: "meetingId + participants array (Firebase UIDs) are required",
+    return next(
+      new ValidationError("meetingId + participants array (Firebase UIDs) are required")
+    );
+  }
+
+  let invited;
+  let refused;
+  try {
+    await authorization.assertCanManageMeeting(req.user, meetingId, {
+      action: "meetings.batch-join",
+      channel: "http",
+      requestId: req.id,
+      ip: req.ip,
     });
+    await lifecycle.assertOpen(meetingId);
+    ({ invited, refused } = await invitations.partitionInvited(meetingId, participantUids));
+  } catch (error) {
+    return next(error);
   }
 
   const results = await Promise.all(
-    participantUids.map(async (uid) => {
+    invited.map(async (uid) => {
       try {
-        const { obfToken, zoomUserId } = await zoomService.getOBFToken(uid, meetingId);
-        return { userId: zoomUserId, firebaseUid: uid, obfToken };
+        const { obfToken, zoomUserId, ...expiry } = await zoomService.getOBFToken(uid, meetingId);
+        return { userId: zoomUserId, firebaseUid: uid, obfToken, ...expiry };
       } catch (error) {
         return {
           userId: uid,
           firebaseUid: uid,
           error: error instanceof Error ? error.message : "unknown",
+          code: error.code || "internal_error",
+          retryable: Boolean(error.retryable),
         };
       }
     })
   );
 
-  await storeMeetingMetadata(meetingId, req.user, {
-    batchParticipants: participantUids,
-    batchRequestedAt: admin.firestore.FieldValue.serverTimestamp(),
+  const successes = results.filter((r) => "obfToken" in r);
+  const failures = [...refused, ...results.filter((r) => "error" in r)];
+  await auditLog.recordObfResults(auditContext(req), meetingId, {
+    issued: successes,
+    failed: failures,
+    refused,
   });
 
-  const successes = results.filter((r) => "obfToken" in r);
-  const failures = results.filter((r) => "error" in r);
+  try {
+    await meetingMetadata.recordObfBatch(meetingId, req.user, participantUids, successes);
+  } catch (error) {
+    return next(error);
+  }
 
   return res.json({
     meetingId,
@@ -314,8 +1021,14 @@ apiRouter.post("/meetings/batch-join", async (req, res) => {
   });
 });
 
-/** POST /api/meetings/setup -- combined host ZAK + participant OBF tokens. */
-apiRouter.post("/meetings/setup", async (req, res) => {
+/**
+ * POST /api/meetings/setup -- combined host ZAK + participant OBF tokens.
+ * The caller must be allowed to act for `hostFirebaseUid` (themselves, as
+ * a delegate, or as an admin), and the host must be the meeting's host or
+ * an alternative host, as for /meetings/start. Participants who are not
+ * invited are listed under `failed`.
+ */
+apiRouter.post("/meetings/setup", requireRole("host"), async (req, res, next) => {
   const meetingId = String(req.body.meetingId || "").trim();
   const hostFirebaseUid = String(req.body.hostFirebaseUid || "").trim() || req.user.uid;
   const participantFirebaseUids = (
@@ -327,35 +1040,227 @@ apiRouter.post("/meetings/setup", async (req, res) => {
     .filter((v) => v.length > 0);
 
   if (!meetingId) {
-    return res.status(400).json({ error: "meetingId is required" });
+    return next(new ValidationError("meetingId is required"));
   }
 
   try {
-    const meetingTokens = await zoomService.getMeetingTokens(
-      hostFirebaseUid,
+    await authorization.assertCanActFor(req.user, hostFirebaseUid, {
+      action: "meetings.setup",
+      channel: "http",
+      meetingId,
+      requestId: req.id,
+      ip: req.ip,
+    });
+    await lifecycle.assertOpen(meetingId);
+    // getMeetingTokens issues the ZAK from the host's default account
+    await meetingService.verifyHost(hostFirebaseUid, meetingId);
+    const { invited, refused } = await invitations.partitionInvited(
       meetingId,
       participantFirebaseUids
     );
-    await storeMeetingMetadata(meetingId, req.user, {
-      meetingTokensRequestedAt: admin.firestore.FieldValue.serverTimestamp(),
-      meetingTokensSummary: {
-        host: meetingTokens.host.userId,
-        participants: meetingTokens.participants.map((p) => p.userId),
-      },
-    });
+    const meetingTokens = await zoomService.getMeetingTokens(hostFirebaseUid, meetingId, invited);
+    meetingTokens.failed.push(...refused);
+    await meetingMetadata.recordMeetingTokens(meetingId, req.user, hostFirebaseUid, meetingTokens);
 
+    await auditLog.record("token.zak", auditContext(req), {
+      subjectUid: hostFirebaseUid,
+      meetingId,
+      zoomUserId: meetingTokens.host.userId,
+    });
+    await auditLog.recordObfResults(auditContext(req), meetingId, {
+      issued: meetingTokens.participants,
+      failed: meetingTokens.failed,
+      refused,
+    });
     return res.json(meetingTokens);
   } catch (error) {
+    await auditLog.record("token.zak", auditContext(req), {
+      subjectUid: hostFirebaseUid,
+      meetingId,
+      error,
+    });
     functions.logger.error("zoomApi", "ZOOM_SETUP_THROWN", {
       error: error instanceof Error ? error.message : "unknown",
       meetingId,
     });
-    const message =
-      error instanceof Error ? error.message : "Unable to complete meeting setup";
-    return res.status(500).json({ error: message });
+    return next(error);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// SDK signatures
+// ---------------------------------------------------------------------------
+
+/**
+ * Check that a user may join a Zoom meeting in a role: its host -- who was
+ * issued the ZAK here -- may take either role; users issued an OBF token for
+ * it, or admitted by the host, may join as participants while they are still
+ * invited (the same check /meetings/join makes).
+ */
+async function authorizeMeetingSignature(meetingId, user, { role, admit, context }) {
+  const meetingRef = db.collection("zoomMeetings").doc(meetingId);
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(meetingRef);
+    if (!snapshot.exists) {
+      throw new ZoomMeetingNotFoundError(meetingId);
+    }
+    assertSdkAdmitted(snapshot.data(), user.uid, role);
+
+    if (role === "host" && admit.length > 0) {
+      transaction.update(meetingRef, {
+        participantFirebaseUids: admin.firestore.FieldValue.arrayUnion(...admit),
+      });
+    }
+  });
+
+  if (role === "participant") {
+    await invitations.assertInvited(meetingId, user.uid, { user, context });
+  }
+}
+
+/**
+ * Same check for a Video SDK session. A session has no Zoom meeting behind
+ * it, so sessions live in zoomVideoSessions, apart from zoomMeetings: the
+ * first host signature request for an unused session name claims it, and the
+ * claimant may admit participants in that request.
+ */
+async function authorizeVideoSessionSignature(sessionName, uid, { role, admit }) {
+  const sessionRef = db.collection("zoomVideoSessions").doc(sessionName);
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(sessionRef);
+    if (snapshot.exists) {
+      assertSdkAdmitted(snapshot.data(), uid, role);
+      if (role === "host" && admit.length > 0) {
+        transaction.update(sessionRef, {
+          participantFirebaseUids: admin.firestore.FieldValue.arrayUnion(...admit),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+    } else if (role === "host") {
+      transaction.create(sessionRef, {
+        claimedByFirebaseUid: uid,
+        participantFirebaseUids: [...new Set(admit)],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      throw new ApiError("session_not_found", `Video SDK session ${sessionName} was not found`, {
+        status: 404,
+        details: { sessionName },
+      });
+    }
+  });
+}
+
+/**
+ * @param {{ hostFirebaseUid?: string, claimedByFirebaseUid?: string,
+ *   participantFirebaseUids?: string[] }} entry - zoomMeetings or zoomVideoSessions doc
+ * @throws {ForbiddenError}
+ */
+function assertSdkAdmitted(entry, uid, role) {
+  const hostUid = entry.hostFirebaseUid || entry.claimedByFirebaseUid;
+  if (hostUid === uid) return;
+  if (role === "host") {
+    throw new ForbiddenError("Only the meeting host can get a host signature", "not_meeting_host");
+  }
+  if (!(entry.participantFirebaseUids || []).includes(uid)) {
+    throw new ForbiddenError(
+      "You have not been admitted to this meeting",
+      "not_meeting_participant"
+    );
+  }
+}
+
+/**
+ * POST /api/sdk/signature -- sign a Meeting SDK signature (sdk "meeting") or a
+ * Video SDK session token (sdk "video") for a meeting/session and role.
+ * Hosts may pass `participantFirebaseUids` to admit users to a session.
+ */
+apiRouter.post("/sdk/signature", requireRole("participant", "host"), async (req, res, next) => {
+  const meetingId = String(req.body.meetingId || "").trim();
+  const sdk = String(req.body.sdk || "meeting").trim();
+  const role = String(req.body.role || "participant").trim();
+  const admit = (
+    Array.isArray(req.body.participantFirebaseUids) ? req.body.participantFirebaseUids : []
+  )
+    .map((v) => (typeof v === "string" ? v.trim() : ""))
+    .filter((v) => v.length > 0);
+
+  if (!sdkSignatures.isConfigured()) {
+    return next(
+      new ApiError("sdk_not_configured", "Zoom SDK credentials are not configured", {
+        status: 503,
+      })
+    );
+  }
+  if (!meetingId) {
+    return next(new ValidationError("meetingId is required"));
+  }
+  if (!SDK_TYPES.includes(sdk) || !SDK_ROLES.includes(role)) {
+    return next(
+      new ValidationError(
+        `sdk must be one of: ${SDK_TYPES.join(", ")}; role one of: ${SDK_ROLES.join(", ")}`
+      )
+    );
+  }
+
+  try {
+    if (sdk === "video") {
+      await authorizeVideoSessionSignature(meetingId, req.user.uid, { role, admit });
+    } else {
+      await lifecycle.assertOpen(meetingId);
+      await authorizeMeetingSignature(meetingId, req.user, {
+        role,
+        admit,
+        context: { action: "sdk.signature", channel: "http", requestId: req.id, ip: req.ip },
+      });
+    }
+    const signed = sdkSignatures.createSignature({
+      sdk,
+      meetingId,
+      role,
+      userIdentity: req.user.uid,
+    });
+    functions.logger.info("zoomApi", "SDK signature issued", {
+      uid: req.user.uid,
+      meetingId,
+      sdk,
+      role,
+    });
+    await auditLog.record("sdk.signature", auditContext(req), {
+      meetingId,
+      details: { sdk, role, admitted: admit },
+    });
+    return res.json({ sdk, meetingId, role, ...signed });
+  } catch (error) {
+    await auditLog.record("sdk.signature", auditContext(req), {
+      meetingId,
+      error,
+      details: { sdk, role },
+    });
+    return next(error);
   }
 });
 
 app.use("/api", apiRouter);
+app.use(notFound);
+app.use(errorHandler);
 
 exports.zoomApi = onRequest({ region: "us-central1" }, app);
+
+/**
+ * Daily keep-alive: renews refresh tokens nearing Zoom's 90-day limit so
+ * users who haven't met in a while stay linked. Outcomes are recorded on each
+ * zoomTokens doc (`health`) and summarised in zoomJobs/tokenKeepAlive.
+ */
+exports.zoomTokenKeepAlive = onSchedule(
+  { schedule: "every 24 hours", region: "us-central1" },
+  async () => {
+    if (isAccountMode) {
+      functions.logger.info("zoomTokenKeepAlive", "Skipped: no per-user tokens in account mode");
+      return;
+    }
+    const summary = await zoomService.refreshExpiringTokens();
+    functions.logger.info("zoomTokenKeepAlive", "Keep-alive run complete", summary);
+  }
+);
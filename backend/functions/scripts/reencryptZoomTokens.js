@@ -0,0 +1,49 @@
+/**
+ * Re-encrypt stored Zoom tokens with the active key.
+ *
+ * Key rotation:
+ *   1. Add the new key to ZOOM_TOKEN_ENCRYPTION_KEYS (keep the old one).
+ *   2. Point ZOOM_TOKEN_ENCRYPTION_KEY_ID at the new key and redeploy.
+ *   3. Run this script until it reports `failed: 0`.
+ *   4. Remove the old key from the keyring.
+ *
+ * Also seals records written before encryption at rest was introduced.
+ *
+ * Usage:
+ *   node scripts/reencryptZoomTokens.js [--dry-run]
+ */
+
+require("dotenv/config");
+const admin = require("firebase-admin");
+const { ZoomTokenService } = require("../services/zoomTokenService");
+const { createTokenStores } = require("../services/tokenStore");
+
+async function main() {
+  admin.initializeApp();
+
+  const zoomService = new ZoomTokenService(
+    {
+      clientId: process.env.ZOOM_CLIENT_ID || "",
+      clientSecret: process.env.ZOOM_CLIENT_SECRET || "",
+      redirectUri: process.env.ZOOM_REDIRECT_URI || "",
+      tokenEncryptionKeys: process.env.ZOOM_TOKEN_ENCRYPTION_KEYS || "",
+      tokenEncryptionKeyId: process.env.ZOOM_TOKEN_ENCRYPTION_KEY_ID || "",
+    },
+    createTokenStores({
+      backend: process.env.ZOOM_TOKEN_STORE || "firestore",
+      firestore: admin.firestore(),
+      directory: process.env.ZOOM_TOKEN_STORE_DIR,
+    })
+  );
+
+  const dryRun = process.argv.includes("--dry-run");
+  const summary = await zoomService.reencryptAllTokens({ dryRun });
+
+  console.log(JSON.stringify({ dryRun, ...summary }, null, 2));
+  process.exitCode = summary.failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error("[reencrypt] Failed:", error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,256 @@
+/**
+ * Attendance Service
+ * Records Zoom's participant join/leave events per meeting in
+ * zoomMeetings/{meetingId}/attendance and turns them into an attendance
+ * report: who was there, in which sessions and for how long.
+ *
+ * Recurring and Personal Meeting ID meetings keep their meeting ID across
+ * occurrences, so each event carries Zoom's meeting instance UUID and a
+ * report covers one instance -- by default the one with the latest event.
+ * Instances are listed in `attendanceInstances` on the meeting.
+ *
+ * A participant is matched to a Firebase user through the Zoom user ID they
+ * joined as: first the accounts this backend issued tokens for
+ * (`issuedZoomUserIds` on the meeting), then linked accounts or account-mode
+ * mappings. Users who were issued a token but never joined are no-shows.
+ */
+
+const admin = require("firebase-admin");
+const { ApiError } = require("./errors");
+const { stateOf } = require("./meetingLifecycle");
+
+// Events read for one report; longer meetings are reported from the first ones
+const MAX_ATTENDANCE_EVENTS = 5000;
+
+const CSV_COLUMNS = [
+  "firebaseUid",
+  "name",
+  "email",
+  "zoomUserId",
+  "firstJoinedAt",
+  "lastLeftAt",
+  "durationSeconds",
+  "sessions",
+  "inMeeting",
+  "noShow",
+];
+
+/**
+ * Quote a CSV field when needed (RFC 4180). Names come from Zoom, so text
+ * that spreadsheets would run as a formula is prefixed with a quote.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {{ attendees: object[] }} report - from getAttendance
+ * @returns {string} one row per attendee, with a header row
+ */
+function attendanceCsv(report) {
+  const rows = report.attendees.map((attendee) =>
+    CSV_COLUMNS.map((column) =>
+      csvField(column === "sessions" ? attendee.sessions.length : attendee[column])
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+class AttendanceService {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {import("./zoomTokenService").ZoomTokenService} zoomService
+   */
+  constructor(firestore, zoomService) {
+    this.firestore = firestore;
+    this.zoomService = zoomService;
+  }
+
+  /**
+   * Store one join or leave.
+   * @param {string} meetingId
+   * @param {"joined"|"left"} action
+   * @param {{ participantId: string, zoomUserId: string|null, name: string|null,
+   *   email: string|null, at: string|null }} participant - from the Zoom event
+   * @param {string|null} instanceId - Zoom's meeting instance UUID (`payload.object.uuid`)
+   * @returns {Promise<string|null>} the participant's Firebase UID, if known
+   */
+  async recordEvent(meetingId, action, participant, instanceId) {
+    const firebaseUid = await this._firebaseUidOf(meetingId, participant.zoomUserId);
+    // Normalized, so events sort by time as strings
+    const parsed = new Date(participant.at || Date.now());
+    const at = (Number.isNaN(parsed.getTime()) ? new Date() : parsed).toISOString();
+    await this._attendanceRef(meetingId).add({
+      action,
+      instanceId: instanceId || null,
+      participantId: participant.participantId,
+      zoomUserId: participant.zoomUserId || null,
+      firebaseUid,
+      name: participant.name || null,
+      email: participant.email || null,
+      at,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (instanceId) {
+      // Instances never overlap, so the latest event tells the latest instance
+      await this.firestore
+        .collection("zoomMeetings")
+        .doc(meetingId)
+        .set({ attendanceInstances: { [instanceId]: { lastEventAt: at } } }, { merge: true });
+    }
+    return firebaseUid;
+  }
+
+  /**
+   * Per-person attendance of one meeting instance, attendees first (longest
+   * first), then no-shows. Sessions without a leave event count until now
+   * while the latest instance is live, and otherwise end with the instance.
+   * @param {string} meetingId
+   * @param {{ instance?: string }} [options] - instance UUID; defaults to the latest
+   * @returns {Promise<{meetingId: string, instanceId: string|null, state: string,
+   *   instances: Array<{instanceId: string, lastEventAt: string}>, attendees: object[],
+   *   summary: {attended: number, noShows: number, issued: number}}>}
+   *   instances: latest first; instanceId is null for events recorded before instances were
+   * @throws {ApiError} instance_not_found (404)
+   */
+  async getAttendance(meetingId, { instance } = {}) {
+    const meetingSnapshot = await this.firestore.collection("zoomMeetings").doc(meetingId).get();
+    const meeting = meetingSnapshot.exists ? meetingSnapshot.data() : {};
+    const instances = Object.entries(meeting.attendanceInstances || {})
+      .map(([instanceId, { lastEventAt }]) => ({ instanceId, lastEventAt }))
+      .sort((a, b) => (a.lastEventAt < b.lastEventAt ? 1 : -1));
+    if (instance && !instances.some(({ instanceId }) => instanceId === instance)) {
+      throw new ApiError("instance_not_found", `Meeting ${meetingId} has no instance ${instance}`, {
+        status: 404,
+        details: { meetingId, instance },
+      });
+    }
+    const instanceId = instance || instances[0]?.instanceId || null;
+    const latest = instanceId === (instances[0]?.instanceId || null);
+
+    let query = this._attendanceRef(meetingId);
+    if (instanceId) query = query.where("instanceId", "==", instanceId);
+    const eventsSnapshot = await query.orderBy("at").limit(MAX_ATTENDANCE_EVENTS).get();
+    const state = stateOf(meeting);
+    const events = eventsSnapshot.docs.map((doc) => doc.data());
+    // When the instance stopped being live (a recurring or PMI one goes back to scheduled);
+    // an earlier instance ended by its last event
+    const endedAt = latest
+      ? toIso(meeting.endedAt || meeting.statusChangedAt)
+      : instances.find((i) => i.instanceId === instanceId).lastEventAt;
+
+    const people = new Map();
+    const open = new Map(); // participantId -> open session
+    for (const event of events) {
+      const key = event.firebaseUid || event.zoomUserId || event.email || event.participantId;
+      if (!people.has(key)) {
+        people.set(key, {
+          firebaseUid: event.firebaseUid || null,
+          zoomUserId: event.zoomUserId || null,
+          name: event.name || null,
+          email: event.email || null,
+          sessions: [],
+        });
+      }
+      const person = people.get(key);
+      person.name = person.name || event.name || null;
+      person.email = person.email || event.email || null;
+
+      if (event.action === "joined") {
+        const session = { joinedAt: event.at, leftAt: null };
+        person.sessions.push(session);
+        open.set(event.participantId, session);
+      } else if (open.has(event.participantId)) {
+        open.get(event.participantId).leftAt = event.at;
+        open.delete(event.participantId);
+      }
+    }
+    // Zoom sends no leave events for participants still in an ending meeting
+    if (!latest || state !== "live") {
+      for (const session of open.values()) session.leftAt = endedAt || session.joinedAt;
+    }
+
+    const issued = {
+      ...Object.fromEntries((meeting.participantFirebaseUids || []).map((uid) => [uid, null])),
+      ...(meeting.issuedZoomUserIds || {}),
+    };
+    const attendees = [...people.values()].map((person) => this._summarize(person));
+    const attendedUids = new Set(attendees.map((a) => a.firebaseUid).filter(Boolean));
+    const noShows = Object.entries(issued)
+      .filter(([uid]) => !attendedUids.has(uid))
+      .map(([uid, zoomUserId]) => ({
+        firebaseUid: uid,
+        zoomUserId,
+        name: null,
+        email: null,
+        sessions: [],
+        firstJoinedAt: null,
+        lastLeftAt: null,
+        durationSeconds: 0,
+        inMeeting: false,
+        noShow: true,
+      }));
+
+    attendees.sort((a, b) => b.durationSeconds - a.durationSeconds);
+    return {
+      meetingId,
+      instanceId,
+      state,
+      instances,
+      attendees: [...attendees, ...noShows],
+      summary: {
+        attended: attendees.length,
+        noShows: noShows.length,
+        issued: Object.keys(issued).length,
+      },
+    };
+  }
+
+  /** @private */
+  _summarize(person) {
+    let durationMs = 0;
+    let inMeeting = false;
+    for (const session of person.sessions) {
+      if (!session.leftAt) inMeeting = true;
+      const end = session.leftAt ? Date.parse(session.leftAt) : Date.now();
+      if (Number.isFinite(end)) durationMs += Math.max(0, end - Date.parse(session.joinedAt));
+    }
+    const leftAt = person.sessions.map((session) => session.leftAt).filter(Boolean).sort();
+    return {
+      ...person,
+      firstJoinedAt: person.sessions[0]?.joinedAt || null,
+      lastLeftAt: inMeeting ? null : leftAt[leftAt.length - 1] || null,
+      durationSeconds: Math.round(durationMs / 1000),
+      inMeeting,
+      noShow: false,
+    };
+  }
+
+  /**
+   * The Firebase user behind a Zoom user ID, or null for guests and Zoom
+   * users shared by several Firebase users.
+   * @private
+   */
+  async _firebaseUidOf(meetingId, zoomUserId) {
+    if (!zoomUserId) return null;
+
+    const snapshot = await this.firestore.collection("zoomMeetings").doc(meetingId).get();
+    const issued = Object.entries((snapshot.exists && snapshot.data().issuedZoomUserIds) || {});
+    const match = issued.find(([, issuedZoomUserId]) => issuedZoomUserId === zoomUserId);
+    if (match) return match[0];
+
+    const firebaseUids = await this.zoomService.findFirebaseUids(zoomUserId);
+    return firebaseUids.length === 1 ? firebaseUids[0] : null;
+  }
+
+  /** @private */
+  _attendanceRef(meetingId) {
+    return this.firestore.collection("zoomMeetings").doc(meetingId).collection("attendance");
+  }
+}
+
+module.exports = { AttendanceService, attendanceCsv };
@@ -0,0 +1,287 @@
+/**
+ * API Errors
+ * Typed errors with stable, machine-readable codes, plus the Express
+ * middleware that turns them into responses.
+ *
+ * Every error response has the shape
+ *   { error: <message>, code: <stable code>, retryable: <bool>, requestId, ...details }
+ * so clients branch on `code` instead of matching English messages.
+ */
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - stable machine-readable code
+   * @param {string} message - human-readable explanation
+   * @param {{ status?: number, retryable?: boolean, details?: object, cause?: unknown }} [options]
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = options.status || 500;
+    this.retryable = Boolean(options.retryable);
+    this.details = options.details || {};
+  }
+}
+
+/** 400 -- the request itself is malformed or incomplete. */
+class ValidationError extends ApiError {
+  constructor(message) {
+    super("invalid_request", message, { status: 400 });
+    this.name = "ValidationError";
+  }
+}
+
+/** 401 -- missing or invalid Firebase ID token. */
+class AuthenticationError extends ApiError {
+  constructor(message) {
+    super("unauthenticated", message, { status: 401 });
+    this.name = "AuthenticationError";
+  }
+}
+
+/** 403 -- authenticated, but not allowed to do this. */
+class ForbiddenError extends ApiError {
+  constructor(message, code = "forbidden") {
+    super(code, message, { status: 403 });
+    this.name = "ForbiddenError";
+  }
+}
+
+/**
+ * 400 -- an OAuth `state` value is malformed, tampered with, expired or
+ * replayed. `code` is safe to hand back to the client (e.g. in a deep link).
+ */
+class OAuthStateError extends ApiError {
+  /**
+   * @param {"invalid_state"|"state_expired"|"state_already_used"} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(code, message, { status: 400 });
+    this.name = "OAuthStateError";
+  }
+}
+
+/**
+ * 403 -- raised before calling Zoom when the grant lacks the scope a flow
+ * needs. The fix is to reconnect Zoom so the consent screen asks again (or,
+ * in account mode, to add the scope to the Server-to-Server app).
+ */
+class ZoomScopeError extends ApiError {
+  /**
+   * @param {string} capability - e.g. "canHost"
+   * @param {string[]} requiredScopes - any one of these would do
+   * @param {"user"|"account"} [authMode]
+   */
+  constructor(capability, requiredScopes, authMode = "user") {
+    super(
+      "missing_scope",
+      `Your Zoom authorization is missing a required scope (one of: ${requiredScopes.join(", ")}). ` +
+        (authMode === "account"
+          ? "Add it to the Server-to-Server OAuth app in the Zoom App Marketplace."
+          : "Reconnect your Zoom account via /api/auth/zoom/url to grant it."),
+      { status: 403, details: { requiredScopes } }
+    );
+    this.name = "ZoomScopeError";
+    this.capability = capability;
+    this.requiredScopes = requiredScopes;
+  }
+}
+
+/** 404 -- the request selects a Zoom account the user has not linked. */
+class ZoomAccountNotLinkedError extends ApiError {
+  /** @param {string} zoomUserId - the selector that matched nothing */
+  constructor(zoomUserId) {
+    super("account_not_linked", `Zoom account ${zoomUserId} is not linked to this user`, {
+      status: 404,
+    });
+    this.name = "ZoomAccountNotLinkedError";
+    this.zoomUserId = zoomUserId;
+  }
+}
+
+/** 409 -- the user has no Zoom account to act as yet. */
+class ZoomNotConnectedError extends ApiError {
+  constructor(
+    message = "Zoom account not connected. Please authorize via /api/auth/zoom/url first."
+  ) {
+    super("zoom_not_connected", message, { status: 409 });
+    this.name = "ZoomNotConnectedError";
+  }
+}
+
+/** 409 -- a per-user OAuth operation was attempted in account (S2S) mode. */
+class ZoomAuthModeError extends ApiError {
+  constructor(
+    message = "Zoom is connected at the account level; no per-user authorization is needed"
+  ) {
+    super("account_mode", message, { status: 409 });
+    this.name = "ZoomAuthModeError";
+  }
+}
+
+/** 401 -- Zoom rejected the stored grant; the user must connect Zoom again. */
+class ZoomReauthRequiredError extends ApiError {
+  constructor(message, options = {}) {
+    super(
+      "zoom_reauth_required",
+      message || "Your Zoom authorization is no longer valid. Reconnect via /api/auth/zoom/url.",
+      { status: 401, cause: options.cause }
+    );
+    this.name = "ZoomReauthRequiredError";
+  }
+}
+
+/** 404 -- Zoom does not know the meeting. */
+class ZoomMeetingNotFoundError extends ApiError {
+  constructor(meetingId, options = {}) {
+    super("meeting_not_found", `Zoom meeting ${meetingId} was not found`, {
+      status: 404,
+      cause: options.cause,
+      details: { meetingId },
+    });
+    this.name = "ZoomMeetingNotFoundError";
+  }
+}
+
+/** 429 -- Zoom rate-limited us; retry after `retryAfter` seconds if known. */
+class ZoomRateLimitError extends ApiError {
+  constructor(retryAfter, options = {}) {
+    super("zoom_rate_limited", "Zoom rate limit reached. Try again shortly.", {
+      status: 429,
+      retryable: true,
+      cause: options.cause,
+      details: retryAfter ? { retryAfter } : {},
+    });
+    this.name = "ZoomRateLimitError";
+    this.retryAfter = retryAfter || null;
+  }
+}
+
+/** 502 -- Zoom failed or answered with something we can't use. */
+class ZoomUpstreamError extends ApiError {
+  constructor(message, options = {}) {
+    super("zoom_upstream_error", message, {
+      status: 502,
+      retryable: options.retryable,
+      cause: options.cause,
+      details: options.zoomStatus ? { zoomStatus: options.zoomStatus } : {},
+    });
+    this.name = "ZoomUpstreamError";
+  }
+}
+
+/**
+ * Translate a failed Zoom API call (axios error) into a typed error.
+ * Typed errors and anything that isn't an HTTP failure pass through unchanged.
+ * @param {unknown} error
+ * @param {{ meetingId?: string, action?: string }} [context]
+ * @returns {Error}
+ */
+function toZoomError(error, context = {}) {
+  if (error instanceof ApiError || !error?.isAxiosError) return error;
+
+  const action = context.action || "Zoom request";
+  const response = error?.response;
+  if (!response) {
+    // No answer at all: network failure or timeout
+    return new ZoomUpstreamError(`${action} failed: ${error?.message || "no response"}`, {
+      retryable: true,
+      cause: error,
+    });
+  }
+
+  const { status, data = {}, headers = {} } = response;
+  // Zoom error body: { code: 3001, message: "Meeting does not exist: ..." }
+  if (context.meetingId && (status === 404 || data.code === 3001)) {
+    return new ZoomMeetingNotFoundError(context.meetingId, { cause: error });
+  }
+  if (status === 429) {
+    const retryAfter = Number(headers["retry-after"]) || null;
+    return new ZoomRateLimitError(retryAfter, { cause: error });
+  }
+  if (status === 401) {
+    return new ZoomReauthRequiredError(undefined, { cause: error });
+  }
+
+  return new ZoomUpstreamError(`${action} failed: ${data.message || error.message}`, {
+    retryable: status >= 500,
+    zoomStatus: status,
+    cause: error,
+  });
+}
+
+/**
+ * Express middleware: tag each request with an ID (honouring an incoming
+ * X-Request-Id) and echo it in the response headers.
+ */
+function requestId(req, res, next) {
+  const incoming = String(req.headers["x-request-id"] || "").trim();
+  req.id = /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  next();
+}
+
+/** Express 404 handler for unknown routes. */
+function notFound(req, _res, next) {
+  next(new ApiError("not_found", "Endpoint not found", { status: 404 }));
+}
+
+/**
+ * Express error middleware: typed errors keep their status, code and
+ * details; anything else is an opaque 500.
+ */
+function errorHandler(error, req, res, _next) {
+  // body-parser rejects malformed JSON before any route runs
+  const err =
+    error?.type === "entity.parse.failed"
+      ? new ValidationError("Request body is not valid JSON")
+      : error;
+  const typed = err instanceof ApiError;
+  const status = typed ? err.status : 500;
+
+  if (status >= 500) {
+    functions.logger.error("http", "Request failed", {
+      requestId: req.id,
+      code: typed ? err.code : "internal_error",
+      error: err instanceof Error ? err.message : "unknown",
+    });
+  }
+
+  if (err instanceof ZoomRateLimitError && err.retryAfter) {
+    res.setHeader("Retry-After", String(err.retryAfter));
+  }
+
+  res.status(status).json({
+    error: typed ? err.message : "Internal server error",
+    code: typed ? err.code : "internal_error",
+    retryable: typed ? err.retryable : false,
+    requestId: req.id || null,
+    ...(typed ? err.details : {}),
+    ...(!typed && process.env.NODE_ENV === "development" ? { message: err.message } : {}),
+  });
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  OAuthStateError,
+  ZoomScopeError,
+  ZoomAccountNotLinkedError,
+  ZoomNotConnectedError,
+  ZoomAuthModeError,
+  ZoomReauthRequiredError,
+  ZoomMeetingNotFoundError,
+  ZoomRateLimitError,
+  ZoomUpstreamError,
+  toZoomError,
+  requestId,
+  notFound,
+  errorHandler,
+};
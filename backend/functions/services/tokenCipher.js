@@ -0,0 +1,127 @@
+/**
+ * Token Cipher
+ * Envelope encryption for Zoom OAuth tokens stored in zoomTokens.
+ *
+ * Every record gets a fresh 256-bit data key (DEK). The tokens are sealed with
+ * the DEK (AES-256-GCM) and the DEK itself is wrapped with a master key from
+ * the locally configured keyring. The master key ID is stored with the record
+ * so old keys can stay in the keyring for reading while the active key is
+ * rotated and records are re-encrypted.
+ *
+ * Keyring format (ZOOM_TOKEN_ENCRYPTION_KEYS):
+ *   "<keyId>:<base64 32-byte key>,<keyId>:<base64 32-byte key>"
+ */
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Parse a keyring string into a Map of keyId -> 32-byte Buffer.
+ * @param {string} keyring
+ * @returns {Map<string, Buffer>}
+ */
+function parseKeyring(keyring) {
+  const keys = new Map();
+
+  String(keyring || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      const keyId = entry.slice(0, separator).trim();
+      const key = Buffer.from(entry.slice(separator + 1).trim(), "base64");
+
+      if (separator <= 0 || key.length !== 32) {
+        throw new Error(
+          `Invalid token encryption key "${keyId || entry}": expected <keyId>:<base64 32-byte key>`
+        );
+      }
+      keys.set(keyId, key);
+    });
+
+  return keys;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+function unseal(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, "base64")),
+    decipher.final(),
+  ]);
+}
+
+class TokenCipher {
+  /**
+   * @param {string} keyring - see module docs for the format
+   * @param {string} [activeKeyId] - key used for new envelopes (default: first key)
+   */
+  constructor(keyring, activeKeyId) {
+    this.keys = parseKeyring(keyring);
+
+    if (this.keys.size === 0) {
+      throw new Error("Token encryption keys (ZOOM_TOKEN_ENCRYPTION_KEYS) must be provided");
+    }
+
+    this.activeKeyId = activeKeyId || this.keys.keys().next().value;
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active token encryption key "${this.activeKeyId}" is not in the keyring`);
+    }
+  }
+
+  /**
+   * Encrypt a JSON-serialisable payload with the active master key.
+   * @param {object} payload
+   * @returns {object} envelope safe to persist
+   */
+  encrypt(payload) {
+    const dataKey = crypto.randomBytes(32);
+    const data = seal(dataKey, Buffer.from(JSON.stringify(payload), "utf8"));
+    const wrappedKey = seal(this.keys.get(this.activeKeyId), dataKey);
+
+    return { v: ENVELOPE_VERSION, keyId: this.activeKeyId, wrappedKey, ...data };
+  }
+
+  /**
+   * Decrypt an envelope produced by encrypt() with any key in the keyring.
+   * @param {object} envelope
+   * @returns {object} original payload
+   */
+  decrypt(envelope) {
+    if (!envelope || envelope.v !== ENVELOPE_VERSION) {
+      throw new Error("Unsupported token envelope version");
+    }
+
+    const masterKey = this.keys.get(envelope.keyId);
+    if (!masterKey) {
+      throw new Error(`Token encryption key "${envelope.keyId}" is not in the keyring`);
+    }
+
+    const dataKey = unseal(masterKey, envelope.wrappedKey);
+    return JSON.parse(unseal(dataKey, envelope).toString("utf8"));
+  }
+
+  /**
+   * @param {object} envelope
+   * @returns {boolean} true if the envelope is sealed with the active key
+   */
+  isCurrent(envelope) {
+    return Boolean(envelope) && envelope.keyId === this.activeKeyId;
+  }
+}
+
+module.exports = { TokenCipher, parseKeyring };
@@ -1,7 +1,131 @@
-const axios = require("axios");
+const crypto = require("crypto");
 const functions = require("firebase-functions");
+const { TokenCipher } = require("./tokenCipher");
+const { ZoomHttpClient } = require("./zoomHttpClient");
+const {
+  OAuthStateError,
+  ZoomScopeError,
+  ZoomAccountNotLinkedError,
+  ZoomNotConnectedError,
+  ZoomAuthModeError,
+  ZoomReauthRequiredError,
+  ZoomUpstreamError,
+  ApiError,
+  ValidationError,
+  toZoomError,
+} = require("./errors");
 
 const CACHE_BUFFER_MS = 5 * 60 * 1000; // 5-minute buffer before expiry
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000; // consent must finish within 10 minutes
+const REFRESH_LEASE_MS = 30 * 1000; // max time one instance may hold a refresh
+const REFRESH_POLL_MS = 500; // how often waiters re-check a held lease
+
+// Zoom refresh tokens die after 90 days unused; keep-alive renews them early
+const REFRESH_TOKEN_LIFETIME_MS = 90 * 24 * 60 * 60 * 1000;
+const KEEPALIVE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+const AUTH_MODES = ["user", "account"];
+const ACCOUNT_USER_CACHE_MS = 60 * 60 * 1000; // how long a resolved Zoom user is reused
+
+// Lifetimes Zoom documents for issued tokens, used when a token carries no `exp`
+const ZAK_TTL_MS = 2 * 60 * 60 * 1000;
+const OBF_TTL_MS = 30 * 60 * 1000;
+// Issued ZAK/OBF tokens are reused for identical requests for a few minutes,
+// and only while they have plenty of life left for the client to use them
+const ISSUED_TOKEN_CACHE_MS = 5 * 60 * 1000;
+const ISSUED_TOKEN_MIN_REMAINING_MS = 10 * 60 * 1000;
+const ISSUED_TOKEN_CACHE_MAX = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Any one of these scopes unlocks the capability (granular scopes first,
+// then the classic user-level and admin-level equivalents)
+const CAPABILITY_SCOPES = {
+  canHost: [
+    "user:read:zak",
+    "user_zak:read",
+    "user:read:zak:admin",
+    "user:read",
+    "user:read:admin",
+  ],
+  canJoinOnBehalf: ["user:read:token", "user:read:token:admin", "user:read", "user:read:admin"],
+  canManageMeetings: [
+    "meeting:write:meeting",
+    "meeting:write:meeting:admin",
+    "meeting:write",
+    "meeting:write:admin",
+  ],
+  canReadMeetings: [
+    "meeting:read:meeting",
+    "meeting:read:meeting:admin",
+    "meeting:read",
+    "meeting:read:admin",
+  ],
+  canListMeetings: [
+    "meeting:read:list_meetings",
+    "meeting:read:list_meetings:admin",
+    "meeting:read",
+    "meeting:read:admin",
+  ],
+};
+
+/** Split Zoom's space-separated `scope` string into a list. */
+const parseScopes = (scope) =>
+  String(scope || "")
+    .split(/\s+/)
+    .filter((s) => s.length > 0);
+
+/**
+ * Derive what a grant allows from its scopes. Records linked before scopes
+ * were tracked have `scopes: undefined`; their capabilities are unknown (null)
+ * until the next refresh records them.
+ * @param {string[]|undefined} scopes
+ * @returns {{canHost: boolean|null, canJoinOnBehalf: boolean|null}}
+ */
+function computeCapabilities(scopes) {
+  const capabilities = {};
+  for (const [capability, required] of Object.entries(CAPABILITY_SCOPES)) {
+    capabilities[capability] = Array.isArray(scopes)
+      ? required.some((scope) => scopes.includes(scope))
+      : null;
+  }
+  return capabilities;
+}
+
+/**
+ * zoomTokens key for one linked Zoom account. Records written before users
+ * could link several accounts are keyed by the bare Firebase UID; they are
+ * still read as that user's (default) account.
+ */
+const accountKey = (firebaseUid, zoomUserId) => `${firebaseUid}:${zoomUserId}`;
+
+/**
+ * When an issued ZAK/OBF token expires: the JWT `exp` claim if the token has
+ * one, otherwise the documented lifetime from now.
+ * @param {string} token
+ * @param {number} fallbackTtlMs
+ * @returns {number} epoch ms
+ */
+function tokenExpiry(token, fallbackTtlMs) {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(String(token).split(".")[1], "base64url").toString("utf8")
+    );
+    if (Number.isFinite(payload.exp)) return payload.exp * 1000;
+  } catch (_error) {
+    // not a JWT -- fall through to the documented lifetime
+  }
+  return Date.now() + fallbackTtlMs;
+}
+
+/** `expiresAt`/`expiresIn` fields for an issued token. */
+const expiryFields = (expiresAt) => ({
+  expiresAt: new Date(expiresAt).toISOString(),
+  expiresIn: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000)),
+});
+
+const hasUsableAccessToken = (record, tokens) =>
+  Boolean(tokens.accessToken) && Date.now() < record.expiry - CACHE_BUFFER_MS;
 
 /**
  * ZoomTokenService -- OAuth (authorization_code) flow.
@@ -9,29 +133,163 @@ const CACHE_BUFFER_MS = 5 * 60 * 1000; // 5-minute buffer before expiry
  * Each Firebase user connects their Zoom account once via the OAuth consent
  * screen. The resulting refresh token is stored in Firestore and used to
  * obtain short-lived access tokens on demand.
+ *
+ * With authMode "account" a Server-to-Server OAuth app acts for every user in
+ * the Zoom account instead; Firebase users map to Zoom users through
+ * zoomUserMappings/{uid} or their email address.
  */
 class ZoomTokenService {
-  constructor(config, firestore) {
+  constructor(config, stores, options = {}) {
     this.config = config;
-    this.firestore = firestore;
+    this.authMode = config.authMode || "user";
+    this.tokens = stores.tokens;
+    this.oauthStates = stores.oauthStates;
+    this.jobs = stores.jobs;
+    this.userMappings = stores.userMappings;
+    this.resolveUserEmail = options.resolveUserEmail || null;
+    this.audit = options.audit || null;
+    this.http = new ZoomHttpClient(options.http);
+    this.stateSecret = config.stateSecret || config.clientSecret;
     this.baseURL = "https://api.zoom.us/v2";
     this.oauthURL = "https://zoom.us/oauth/token";
     this.authorizeURL = "https://zoom.us/oauth/authorize";
+    this.revokeURL = "https://zoom.us/oauth/revoke";
+    this.complianceURL = "https://api.zoom.us/oauth/data/compliance";
 
-    if (!config.clientId || !config.clientSecret || !config.redirectUri) {
+    if (!AUTH_MODES.includes(this.authMode)) {
+      throw new Error(`Unknown Zoom auth mode "${this.authMode}" (use user or account)`);
+    }
+    if (this.authMode === "account") {
+      if (!config.clientId || !config.clientSecret || !config.accountId) {
+        throw new Error(
+          "Zoom Server-to-Server credentials (clientId, clientSecret, accountId) must be provided"
+        );
+      }
+    } else if (!config.clientId || !config.clientSecret || !config.redirectUri) {
       throw new Error(
         "Zoom OAuth credentials (clientId, clientSecret, redirectUri) must be provided"
       );
     }
+
+    // Account mode stores no per-user tokens, so the keyring is optional there
+    this.cipher =
+      this.authMode === "user" || config.tokenEncryptionKeys
+        ? new TokenCipher(config.tokenEncryptionKeys, config.tokenEncryptionKeyId)
+        : null;
+    this.refreshInFlight = new Map(); // firebaseUid -> pending refresh promise
+
+    // `${kind}:${firebaseUid}:${zoomUserId}[:${meetingId}]` -> { promise, value }
+    this.issuedTokens = new Map();
+
+    this.accountToken = null; // { accessToken, expiry, scopes } -- account mode only
+    this.accountTokenInFlight = null;
+    this.accountUsers = new Map(); // mapped ID or email -> { zoomUserId, expiresAt }
+  }
+
+  /** @returns {boolean} true when running as a Server-to-Server (account-level) app */
+  isAccountMode() {
+    return this.authMode === "account";
+  }
+
+  /**
+   * Per-user OAuth operations make no sense for an account-level app.
+   * @private
+   */
+  _assertUserMode(operation) {
+    if (this.isAccountMode()) {
+      throw new ZoomAuthModeError(
+        `${operation} is not available: Zoom is connected at the account level (ZOOM_AUTH_MODE=account)`
+      );
+    }
   }
 
   // ---------------------------------------------------------------------------
   // 1. OAuth authorization helpers
   // ---------------------------------------------------------------------------
 
+  /**
+   * Issue a signed, single-use OAuth `state` for a Firebase user.
+   *
+   * The value is `<nonce>.<expiresAt>.<signature>`; the nonce is also stored in
+   * zoomOAuthStates/{nonce} so the callback can resolve it to the requesting
+   * UID and consume it exactly once.
+   *
+   * With `pkce: true` a PKCE code_verifier is generated and kept alongside the
+   * nonce, so public clients never have to hold it themselves.
+   * @param {string} firebaseUid
+   * @param {{ pkce?: boolean }} [options]
+   * @returns {Promise<{state: string, codeChallenge?: string}>}
+   */
+  async createOAuthState(firebaseUid, options = {}) {
+    this._assertUserMode("Zoom OAuth");
+    const nonce = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = Date.now() + OAUTH_STATE_TTL_MS;
+    const record = { firebaseUid, expiresAt, createdAt: Date.now() };
+
+    let codeChallenge;
+    if (options.pkce) {
+      // RFC 7636: 32 random bytes -> 43-char base64url verifier, S256 challenge
+      record.codeVerifier = crypto.randomBytes(32).toString("base64url");
+      codeChallenge = crypto
+        .createHash("sha256")
+        .update(record.codeVerifier)
+        .digest("base64url");
+    }
+
+    await this.oauthStates.set(nonce, record);
+
+    const state = `${nonce}.${expiresAt}.${this._signState(`${nonce}.${expiresAt}`)}`;
+    return { state, codeChallenge };
+  }
+
+  /**
+   * Verify and consume an OAuth `state` returned by Zoom.
+   * @param {string} state
+   * @returns {Promise<{firebaseUid: string, codeVerifier?: string}>}
+   * @throws {OAuthStateError} if the state is tampered, expired or replayed
+   */
+  async consumeOAuthState(state) {
+    const [nonce, expiresAtRaw, signature] = String(state || "").split(".");
+    const expiresAt = Number(expiresAtRaw);
+
+    if (!nonce || !signature || !Number.isFinite(expiresAt)) {
+      throw new OAuthStateError("invalid_state", "OAuth state is malformed");
+    }
+
+    const expected = Buffer.from(this._signState(`${nonce}.${expiresAtRaw}`));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new OAuthStateError("invalid_state", "OAuth state signature mismatch");
+    }
+
+    if (Date.now() > expiresAt) {
+      throw new OAuthStateError("state_expired", "OAuth state has expired");
+    }
+
+    const data = await this.oauthStates.update(nonce, (record) => {
+      if (!record) {
+        throw new OAuthStateError("invalid_state", "OAuth state is unknown");
+      }
+      if (record.consumedAt) {
+        throw new OAuthStateError("state_already_used", "OAuth state was already used");
+      }
+      if (Date.now() > record.expiresAt) {
+        throw new OAuthStateError("state_expired", "OAuth state has expired");
+      }
+      return { ...record, consumedAt: Date.now() };
+    });
+
+    return { firebaseUid: data.firebaseUid, codeVerifier: data.codeVerifier };
+  }
+
+  /** @private */
+  _signState(payload) {
+    return crypto.createHmac("sha256", this.stateSecret).update(payload).digest("base64url");
+  }
+
   /**
    * Build the Zoom OAuth consent URL.
-   * @param {string} state - opaque string for CSRF (e.g. Firebase UID)
+   * @param {string} state - signed state from createOAuthState
    * @param {string} [codeChallenge] - PKCE code challenge (optional)
    * @returns {string} full authorization URL
    */
@@ -54,13 +312,15 @@ class ZoomTokenService {
 
   /**
    * Exchange an authorization code for access + refresh tokens and persist
-   * them in Firestore under zoomTokens/{firebaseUid}.
+   * them as one of the Firebase user's linked Zoom accounts. Relinking an
+   * account replaces its tokens; the first account linked becomes the default.
    * @param {string} code - authorization code from Zoom
    * @param {string} firebaseUid - Firebase user ID to store tokens for
    * @param {string} [codeVerifier] - PKCE code verifier (optional)
-   * @returns {Promise<{zoomUserId: string}>}
+   * @returns {Promise<{zoomUserId: string, isDefault: boolean}>}
    */
   async exchangeCodeForTokens(code, firebaseUid, codeVerifier) {
+    this._assertUserMode("Zoom OAuth");
     functions.logger.info("zoomService", "Exchanging auth code for tokens");
 
     const credentials = Buffer.from(
@@ -77,42 +337,82 @@ class ZoomTokenService {
         tokenParams.code_verifier = codeVerifier;
       }
 
-      const response = await axios.post(this.oauthURL, null, {
-        params: tokenParams,
-        headers: {
-          Authorization: `Basic ${credentials}`,
-          "Content-Type": "application/x-www-form-urlencoded",
+      const response = await this.http.post(
+        "POST /oauth/token",
+        this.oauthURL,
+        null,
+        {
+          params: tokenParams,
+          headers: {
+            Authorization: `Basic ${credentials}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
         },
-      });
+        { idempotent: false } // the authorization code is single-use
+      );
 
-      const { access_token, refresh_token, expires_in } = response.data;
+      const { access_token, refresh_token, expires_in, scope } = response.data;
       const expiry = Date.now() + expires_in * 1000;
 
       // Fetch the Zoom user profile to get their Zoom user ID
-      const profileRes = await axios.get(`${this.baseURL}/users/me`, {
+      const profileRes = await this.http.get("GET /users/me", `${this.baseURL}/users/me`, {
         headers: { Authorization: `Bearer ${access_token}` },
       });
-      const zoomUserId = profileRes.data.id;
-
-      // Persist tokens keyed by Firebase UID
-      await this.firestore
-        .collection("zoomTokens")
-        .doc(firebaseUid)
-        .set(
-          { accessToken: access_token, refreshToken: refresh_token, expiry, zoomUserId },
-          { merge: true }
-        );
+      const { id: zoomUserId, email } = profileRes.data;
+
+      const accounts = await this._listAccounts(firebaseUid);
+      const existing = accounts.find(({ record }) => record.zoomUserId === zoomUserId);
+      const currentDefault = accounts.find(({ record }) => record.isDefault) || accounts[0];
+      const isDefault = existing ? existing.key === currentDefault.key : accounts.length === 0;
+
+      // Persist sealed tokens under firebaseUid:zoomUserId (replaces a previous link)
+      const key = accountKey(firebaseUid, zoomUserId);
+      await this.tokens.set(
+        key,
+        this._withSealedTokens(
+          {
+            firebaseUid,
+            zoomUserId,
+            email: email || null,
+            isDefault,
+            linkedAt: existing?.record.linkedAt || Date.now(),
+            expiry,
+            // Without a `scope` in Zoom's answer the grant's scopes are unknown, not none
+            ...(scope ? { scopes: parseScopes(scope) } : {}),
+            refreshTokenIssuedAt: Date.now(),
+          },
+          access_token,
+          refresh_token
+        )
+      );
+
+      // A relinked legacy record now lives under the new key
+      if (existing && existing.key !== key) {
+        await this.tokens.delete(existing.key);
+      }
 
       functions.logger.info("zoomService", "Zoom account connected", {
         firebaseUid,
         zoomUserId,
+        isDefault,
       });
 
-      return { zoomUserId };
+      return { zoomUserId, isDefault };
     } catch (error) {
-      const message = error instanceof Error ? error.message : "Unknown error during code exchange";
+      const message =
+        error instanceof Error ? error.message : "Unknown error during code exchange";
       functions.logger.error("zoomService", "Code exchange failed", { error: message });
-      throw new Error(`Zoom OAuth code exchange failed: ${message}`);
+
+      // Zoom answers 400/401 for codes that are unknown, used or expired
+      const status = error.response?.status;
+      if (status === 400 || status === 401) {
+        throw new ApiError(
+          "invalid_authorization_code",
+          `Zoom OAuth code exchange failed: ${message}`,
+          { status: 400, cause: error }
+        );
+      }
+      throw toZoomError(error, { action: "Zoom OAuth code exchange" });
     }
   }
 
@@ -122,37 +422,283 @@ class ZoomTokenService {
 
   /**
    * Return a valid access token for a given Firebase user, refreshing if needed.
-   * Throws if the user has not connected their Zoom account.
+   * Throws if the user has not connected their Zoom account. In account mode
+   * this is the shared account token plus the Zoom user mapped to the UID.
    * @param {string} firebaseUid
-   * @returns {Promise<{accessToken: string, zoomUserId: string}>}
+   * @param {string} [zoomUserId] - linked account to use (Zoom user ID or
+   *   email); defaults to the user's default account
+   * @returns {Promise<{accessToken: string, zoomUserId: string, scopes?: string[]}>}
    */
-  async getAccessTokenForUser(firebaseUid) {
-    const docRef = this.firestore.collection("zoomTokens").doc(firebaseUid);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      throw new Error("Zoom account not connected. Please authorize via /api/auth/zoom/url first.");
+  async getAccessTokenForUser(firebaseUid, zoomUserId) {
+    if (this.isAccountMode()) {
+      const { accessToken, scopes } = await this._getAccountAccessToken();
+      const mappedUserId = await this._resolveAccountUser(firebaseUid, accessToken);
+      if (!mappedUserId) {
+        throw new ZoomNotConnectedError(
+          "No Zoom user is mapped to this account. Ask an admin to add a zoomUserMappings entry."
+        );
+      }
+      // Account mode has exactly one Zoom user per Firebase user
+      if (zoomUserId && zoomUserId !== mappedUserId) {
+        throw new ZoomAccountNotLinkedError(zoomUserId);
+      }
+      return { accessToken, zoomUserId: mappedUserId, scopes };
     }
 
-    const data = doc.data();
+    const { key, record: data } = await this._resolveLinkedAccount(firebaseUid, zoomUserId);
+    const { accessToken } = this._openTokens(data);
 
     // If the stored access token is still valid, use it
-    if (data.accessToken && Date.now() < data.expiry - CACHE_BUFFER_MS) {
-      functions.logger.debug("zoomService", "Using stored access token", { firebaseUid });
-      return { accessToken: data.accessToken, zoomUserId: data.zoomUserId };
+    if (accessToken && Date.now() < data.expiry - CACHE_BUFFER_MS) {
+      functions.logger.debug("zoomService", "Using stored access token", { key });
+      return { accessToken, zoomUserId: data.zoomUserId, scopes: data.scopes };
     }
 
-    // Otherwise refresh
-    functions.logger.info("zoomService", "Refreshing Zoom access token", { firebaseUid });
+    // Otherwise refresh -- coalesced so only one refresh per account is in flight
+    return this._refreshSingleFlight(key, hasUsableAccessToken);
+  }
+
+  /**
+   * All Zoom accounts linked to a Firebase user, oldest first. Includes a
+   * legacy record keyed by the bare UID.
+   * @param {string} firebaseUid
+   * @returns {Promise<Array<{key: string, record: object}>>}
+   * @private
+   */
+  async _listAccounts(firebaseUid) {
+    const [linked, legacy] = await Promise.all([
+      this.tokens.list({ firebaseUid }),
+      this.tokens.get(firebaseUid),
+    ]);
+
+    if (legacy && !linked.some(({ key }) => key === firebaseUid)) {
+      linked.push({ key: firebaseUid, record: { ...legacy, firebaseUid } });
+    }
+    return linked.sort((a, b) => (a.record.linkedAt || 0) - (b.record.linkedAt || 0));
+  }
+
+  /**
+   * Pick the linked account a request should use: the one matching
+   * `zoomUserId` (ID or email), else the default, else the oldest.
+   * @param {string} firebaseUid
+   * @param {string} [zoomUserId]
+   * @returns {Promise<{key: string, record: object}>}
+   * @private
+   */
+  async _resolveLinkedAccount(firebaseUid, zoomUserId) {
+    const accounts = await this._listAccounts(firebaseUid);
+
+    if (accounts.length === 0) {
+      throw new ZoomNotConnectedError();
+    }
+
+    if (zoomUserId) {
+      const match = accounts.find(
+        ({ record }) => record.zoomUserId === zoomUserId || record.email === zoomUserId
+      );
+      if (!match) {
+        throw new ZoomAccountNotLinkedError(zoomUserId);
+      }
+      return match;
+    }
+
+    return accounts.find(({ record }) => record.isDefault) || accounts[0];
+  }
+
+  /**
+   * Zoom rotates refresh tokens, so two concurrent refreshes for the same
+   * account invalidate each other. Callers within this process share one
+   * promise; across instances a lease on the token record (taken atomically
+   * through the store) makes everyone else wait for the holder's result.
+   * @param {string} key - zoomTokens key of the linked account
+   * @param {(record: object, tokens: object) => boolean} isFresh - true once
+   *   the record no longer needs refreshing (e.g. another instance did it)
+   * @private
+   */
+  _refreshSingleFlight(key, isFresh) {
+    const pending = this.refreshInFlight.get(key);
+    if (pending) {
+      functions.logger.debug("zoomService", "Joining in-flight token refresh", { key });
+      return pending;
+    }
+
+    const refresh = this._refreshWithLease(key, isFresh).finally(() => {
+      this.refreshInFlight.delete(key);
+    });
+    this.refreshInFlight.set(key, refresh);
+    return refresh;
+  }
+
+  /** @private */
+  async _refreshWithLease(key, isFresh) {
+    const waitUntil = Date.now() + REFRESH_LEASE_MS + REFRESH_POLL_MS;
+
+    for (;;) {
+      let outcome;
+      await this.tokens.update(key, (data) => {
+        if (!data) {
+          throw new ZoomNotConnectedError();
+        }
+
+        const tokens = this._openTokens(data);
+
+        // Another instance finished a refresh while we were waiting
+        if (isFresh(data, tokens)) {
+          outcome = {
+            accessToken: tokens.accessToken,
+            zoomUserId: data.zoomUserId,
+            scopes: data.scopes,
+          };
+          return undefined;
+        }
+
+        const lease = data.refreshLease;
+        if (lease && lease.expiresAt > Date.now()) {
+          outcome = { waiting: true };
+          return undefined;
+        }
+
+        const leaseId = crypto.randomUUID();
+        outcome = { leaseId, data };
+        return {
+          ...data,
+          refreshLease: { id: leaseId, expiresAt: Date.now() + REFRESH_LEASE_MS },
+        };
+      });
+
+      if (outcome.accessToken) {
+        return outcome;
+      }
+      if (outcome.leaseId) {
+        return this._refreshTokens(key, outcome.data, outcome.leaseId);
+      }
+      if (Date.now() > waitUntil) {
+        throw new ApiError(
+          "token_refresh_timeout",
+          "Timed out waiting for a concurrent Zoom token refresh",
+          { status: 503, retryable: true }
+        );
+      }
+
+      functions.logger.debug("zoomService", "Waiting for token refresh lease", { key });
+      await sleep(REFRESH_POLL_MS);
+    }
+  }
+
+  /**
+   * Exchange the stored refresh token while holding the refresh lease, then
+   * persist the result and release the lease.
+   * @private
+   */
+  async _refreshTokens(key, data, leaseId) {
+    const { refreshToken } = this._openTokens(data);
+
+    functions.logger.info("zoomService", "Refreshing Zoom access token", { key });
     const credentials = Buffer.from(
       `${this.config.clientId}:${this.config.clientSecret}`
     ).toString("base64");
 
     try {
-      const response = await axios.post(this.oauthURL, null, {
+      const response = await this.http.post(
+        "POST /oauth/token",
+        this.oauthURL,
+        null,
+        {
+          params: {
+            grant_type: "refresh_token",
+            refresh_token: refreshToken,
+          },
+          headers: {
+            Authorization: `Basic ${credentials}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+        },
+        { idempotent: false } // Zoom may rotate (and spend) the refresh token
+      );
+
+      const { access_token, refresh_token, expires_in, scope } = response.data;
+      const expiry = Date.now() + expires_in * 1000;
+      const scopes = scope ? parseScopes(scope) : data.scopes;
+
+      // Zoom may rotate the refresh token -- always persist the latest one.
+      // Written even if our lease lapsed: the old refresh token is spent now.
+      await this.tokens.update(key, (current) => {
+        if (!current) return undefined; // disconnected mid-refresh
+        const { refreshLease: _lease, ...record } = current;
+        if (refresh_token) {
+          record.refreshTokenIssuedAt = Date.now();
+        }
+        if (scopes) {
+          record.scopes = scopes;
+        }
+        const rotated = refresh_token || refreshToken;
+        return this._withSealedTokens({ ...record, expiry }, access_token, rotated);
+      });
+
+      return { accessToken: access_token, zoomUserId: data.zoomUserId, scopes };
+    } catch (error) {
+      await this._releaseRefreshLease(key, leaseId).catch(() => {});
+
+      const message =
+        error instanceof Error ? error.message : "Unknown error during token refresh";
+      functions.logger.error("zoomService", "Token refresh failed", {
+        key,
+        error: message,
+      });
+
+      // 400/401 from the token endpoint: the refresh token is dead or revoked
+      const status = error.response?.status;
+      const failure =
+        status === 400 || status === 401
+          ? new ZoomReauthRequiredError(
+              `Zoom token refresh failed: ${message}. The user must re-authorize.`,
+              { cause: error }
+            )
+          : toZoomError(error, { action: "Zoom token refresh" });
+      await this.audit?.record(
+        "token.refresh_failed",
+        { channel: "system" },
+        { subjectUid: data.firebaseUid || key, zoomUserId: data.zoomUserId, error: failure }
+      );
+      throw failure;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Server-to-Server (account) mode
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Return the account-level access token, fetching a new one shortly before
+   * the cached one expires. Concurrent callers share one request.
+   * @returns {Promise<{accessToken: string, expiry: number, scopes?: string[]}>}
+   * @private
+   */
+  _getAccountAccessToken() {
+    if (this.accountToken && Date.now() < this.accountToken.expiry - CACHE_BUFFER_MS) {
+      return Promise.resolve(this.accountToken);
+    }
+
+    if (!this.accountTokenInFlight) {
+      this.accountTokenInFlight = this._fetchAccountAccessToken().finally(() => {
+        this.accountTokenInFlight = null;
+      });
+    }
+    return this.accountTokenInFlight;
+  }
+
+  /** @private */
+  async _fetchAccountAccessToken() {
+    functions.logger.info("zoomService", "Requesting Server-to-Server access token");
+    const credentials = Buffer.from(
+      `${this.config.clientId}:${this.config.clientSecret}`
+    ).toString("base64");
+
+    try {
+      const response = await this.http.post("POST /oauth/token", this.oauthURL, null, {
         params: {
-          grant_type: "refresh_token",
-          refresh_token: data.refreshToken,
+          grant_type: "account_credentials",
+          account_id: this.config.accountId,
         },
         headers: {
           Authorization: `Basic ${credentials}`,
@@ -160,108 +706,677 @@ class ZoomTokenService {
         },
       });
 
-      const { access_token, refresh_token, expires_in } = response.data;
-      const expiry = Date.now() + expires_in * 1000;
-
-      // Zoom may rotate the refresh token -- always persist the latest one
-      await docRef.set(
-        {
-          accessToken: access_token,
-          refreshToken: refresh_token || data.refreshToken,
-          expiry,
-        },
-        { merge: true }
-      );
-
-      return { accessToken: access_token, zoomUserId: data.zoomUserId };
+      const { access_token, expires_in, scope } = response.data;
+      this.accountToken = {
+        accessToken: access_token,
+        expiry: Date.now() + expires_in * 1000,
+        scopes: scope ? parseScopes(scope) : undefined,
+      };
+      return this.accountToken;
     } catch (error) {
-      const message = error instanceof Error ? error.message : "Unknown error during token refresh";
-      functions.logger.error("zoomService", "Token refresh failed", {
-        firebaseUid,
+      const message =
+        error instanceof Error ? error.message : "Unknown error during account token request";
+      functions.logger.error("zoomService", "Server-to-Server token request failed", {
         error: message,
       });
-      throw new Error(
-        `Zoom token refresh failed: ${message}. The user may need to re-authorize.`
+
+      // Rejected credentials are a deployment problem, not something to retry
+      const status = error.response?.status;
+      if (status === 400 || status === 401) {
+        throw new ZoomUpstreamError(`Zoom Server-to-Server OAuth failed: ${message}`, {
+          zoomStatus: status,
+          cause: error,
+        });
+      }
+      throw toZoomError(error, { action: "Zoom Server-to-Server OAuth" });
+    }
+  }
+
+  /**
+   * Find the Zoom user acting for a Firebase user in account mode: the
+   * admin-maintained zoomUserMappings/{uid} entry (a Zoom user ID or email)
+   * wins, otherwise the Firebase user's verified email. The identifier is
+   * looked up in the Zoom account, so only real members resolve.
+   * @param {string} firebaseUid
+   * @param {string} accessToken - account access token
+   * @returns {Promise<string|null>} Zoom user ID, or null if there is no match
+   * @private
+   */
+  async _resolveAccountUser(firebaseUid, accessToken) {
+    const mapping = await this.userMappings.get(firebaseUid);
+    const identifier =
+      mapping?.zoomUserId ||
+      (this.resolveUserEmail ? await this.resolveUserEmail(firebaseUid) : null);
+    if (!identifier) return null;
+
+    const cached = this.accountUsers.get(identifier);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.zoomUserId;
+    }
+
+    try {
+      const response = await this.http.get(
+        "GET /users/:userId",
+        `${this.baseURL}/users/${encodeURIComponent(identifier)}`,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
       );
+      const zoomUserId = response.data.id;
+      this.accountUsers.set(identifier, {
+        zoomUserId,
+        expiresAt: Date.now() + ACCOUNT_USER_CACHE_MS,
+      });
+      return zoomUserId;
+    } catch (error) {
+      // Zoom answers 404 (or 400 for a malformed ID) when nobody matches
+      const status = error.response?.status;
+      if (status === 404 || status === 400) {
+        functions.logger.warn("zoomService", "No Zoom user in the account matches", {
+          firebaseUid,
+          source: mapping?.zoomUserId ? "mapping" : "email",
+        });
+        return null;
+      }
+      throw toZoomError(error, { action: "Zoom user lookup" });
     }
   }
 
+  /** @private */
+  async _releaseRefreshLease(key, leaseId) {
+    await this.tokens.update(key, (current) =>
+      current?.refreshLease?.id === leaseId ? { ...current, refreshLease: null } : undefined
+    );
+  }
+
   /**
-   * Check whether a Firebase user has connected their Zoom account.
+   * Check whether a Firebase user has connected a Zoom account. The top-level
+   * fields describe the default account; `accounts` lists every linked one.
+   * In account mode a user counts as connected once they map to a Zoom user.
    * @param {string} firebaseUid
-   * @returns {Promise<{connected: boolean, zoomUserId?: string}>}
+   * @returns {Promise<{connected: boolean, authMode: string, zoomUserId?: string,
+   *   scopes?: string[]|null,
+   *   capabilities?: {canHost: boolean|null, canJoinOnBehalf: boolean|null},
+   *   accounts: object[]}>}
    */
   async isZoomConnected(firebaseUid) {
-    const doc = await this.firestore.collection("zoomTokens").doc(firebaseUid).get();
-    if (!doc.exists) return { connected: false };
-    const data = doc.data();
-    return { connected: true, zoomUserId: data.zoomUserId };
+    if (this.isAccountMode()) {
+      const { accessToken, scopes } = await this._getAccountAccessToken();
+      const zoomUserId = await this._resolveAccountUser(firebaseUid, accessToken);
+      if (!zoomUserId) return { connected: false, authMode: this.authMode, accounts: [] };
+      const account = {
+        zoomUserId,
+        isDefault: true,
+        scopes: scopes || null,
+        capabilities: computeCapabilities(scopes),
+      };
+      return { connected: true, authMode: this.authMode, ...account, accounts: [account] };
+    }
+
+    const linked = await this._listAccounts(firebaseUid);
+    if (linked.length === 0) return { connected: false, authMode: this.authMode, accounts: [] };
+
+    const defaultKey = (linked.find(({ record }) => record.isDefault) || linked[0]).key;
+    const accounts = linked.map(({ key, record }) => ({
+      zoomUserId: record.zoomUserId,
+      email: record.email || null,
+      isDefault: key === defaultKey,
+      linkedAt: record.linkedAt || null,
+      scopes: record.scopes || null,
+      capabilities: computeCapabilities(record.scopes),
+      health: record.health?.status || null,
+    }));
+    const { zoomUserId, scopes, capabilities } = accounts.find((a) => a.isDefault);
+
+    return { connected: true, authMode: this.authMode, zoomUserId, scopes, capabilities, accounts };
   }
 
   /**
-   * Disconnect a user's Zoom account by deleting stored tokens.
+   * Make one of the user's linked Zoom accounts the default for requests that
+   * don't select an account.
    * @param {string} firebaseUid
+   * @param {string} zoomUserId - Zoom user ID or email of a linked account
+   * @returns {Promise<{zoomUserId: string}>}
    */
-  async disconnectZoom(firebaseUid) {
-    await this.firestore.collection("zoomTokens").doc(firebaseUid).delete();
-    functions.logger.info("zoomService", "Zoom account disconnected", { firebaseUid });
+  async setDefaultAccount(firebaseUid, zoomUserId) {
+    this._assertUserMode("Choosing a default Zoom account");
+    const target = await this._resolveLinkedAccount(firebaseUid, zoomUserId);
+    const accounts = await this._listAccounts(firebaseUid);
+
+    // Set the new default first so the user is never left without one
+    const ordered = [target, ...accounts.filter(({ key }) => key !== target.key)];
+    for (const { key } of ordered) {
+      await this.tokens.update(key, (current) =>
+        current ? { ...current, isDefault: key === target.key } : undefined
+      );
+    }
+
+    functions.logger.info("zoomService", "Default Zoom account changed", {
+      firebaseUid,
+      zoomUserId: target.record.zoomUserId,
+    });
+    return { zoomUserId: target.record.zoomUserId };
   }
 
-  // ---------------------------------------------------------------------------
-  // 3. ZAK / OBF token fetching (uses per-user access token)
-  // ---------------------------------------------------------------------------
+  /**
+   * After the default account goes away, promote the oldest remaining one.
+   * @private
+   */
+  async _ensureDefaultAccount(firebaseUid) {
+    const accounts = await this._listAccounts(firebaseUid);
+    if (accounts.length === 0 || accounts.some(({ record }) => record.isDefault)) return;
+
+    await this.tokens.update(accounts[0].key, (current) =>
+      current ? { ...current, isDefault: true } : undefined
+    );
+  }
 
   /**
+   * Access token for calling the Zoom API as one of a user's Zoom accounts,
+   * once its grant is known (or assumed) to allow `capability`.
    * @param {string} firebaseUid
-   * @returns {Promise<{zakToken: string, zoomUserId: string}>}
+   * @param {keyof CAPABILITY_SCOPES} capability
+   * @param {string} [zoomUserId] - linked account (ID or email); default otherwise
+   * @returns {Promise<{accessToken: string, zoomUserId: string, scopes?: string[]}>}
+   * @throws {ZoomScopeError}
    */
-  async getZAKToken(firebaseUid) {
-    const { accessToken, zoomUserId } = await this.getAccessTokenForUser(firebaseUid);
-    functions.logger.info("zoomService", "Fetching ZAK token", { firebaseUid, zoomUserId });
-
-    const response = await axios.get(
-      `${this.baseURL}/users/${encodeURIComponent(zoomUserId)}/token`,
-      {
-        params: { type: "zak" },
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
+  async getAccessForCapability(firebaseUid, capability, zoomUserId) {
+    const access = await this.getAccessTokenForUser(firebaseUid, zoomUserId);
+    this._assertCapability(access.scopes, capability);
+    return access;
+  }
+
+  /**
+   * Email of the Zoom user acting for a Firebase user, e.g. to match a
+   * meeting's alternative hosts. Linked accounts keep it on their record; in
+   * account mode it is read from Zoom.
+   * @param {string} firebaseUid
+   * @param {string} zoomUserId - Zoom user ID (as returned by getAccessTokenForUser)
+   * @returns {Promise<string|null>} null for legacy records without one
+   */
+  async getZoomUserEmail(firebaseUid, zoomUserId) {
+    if (!this.isAccountMode()) {
+      const { record } = await this._resolveLinkedAccount(firebaseUid, zoomUserId);
+      return record.email || null;
+    }
+
+    const { accessToken } = await this._getAccountAccessToken();
+    try {
+      const response = await this.http.get(
+        "GET /users/:userId",
+        `${this.baseURL}/users/${encodeURIComponent(zoomUserId)}`,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+      return response.data.email || null;
+    } catch (error) {
+      throw toZoomError(error, { action: "Zoom user lookup" });
+    }
+  }
+
+  /**
+   * Firebase users acting as a Zoom user: those who linked it, or in account
+   * mode those whose zoomUserMappings entry names that Zoom user ID.
+   * @param {string} zoomUserId
+   * @returns {Promise<string[]>}
+   */
+  async findFirebaseUids(zoomUserId) {
+    const linked = this.isAccountMode()
+      ? await this.userMappings.list({ zoomUserId })
+      : await this.tokens.list({ zoomUserId });
+    return [...new Set(linked.map(({ key, record }) => record.firebaseUid || key))];
+  }
+
+  /**
+   * Refuse a flow up front when the grant is known to lack its scope.
+   * Unknown scopes (legacy records) are let through to Zoom.
+   * @param {string[]|undefined} scopes
+   * @param {keyof CAPABILITY_SCOPES} capability
+   * @throws {ZoomScopeError}
+   * @private
+   */
+  _assertCapability(scopes, capability) {
+    if (computeCapabilities(scopes)[capability] === false) {
+      throw new ZoomScopeError(capability, CAPABILITY_SCOPES[capability], this.authMode);
+    }
+  }
+
+  /**
+   * Disconnect linked Zoom accounts: revoke each grant at Zoom, then delete
+   * the stored tokens. Local records are removed even when revocation fails
+   * (e.g. the refresh token is already dead), so the user can always unlink.
+   * @param {string} firebaseUid
+   * @param {string} [zoomUserId] - only this account (ID or email); all when omitted
+   * @returns {Promise<Array<{zoomUserId: string, revoked: boolean, error?: string}>>}
+   */
+  async disconnectZoom(firebaseUid, zoomUserId) {
+    this._assertUserMode("Disconnecting Zoom");
+    const accounts = zoomUserId
+      ? [await this._resolveLinkedAccount(firebaseUid, zoomUserId)]
+      : await this._listAccounts(firebaseUid);
+
+    const results = [];
+    for (const { key, record } of accounts) {
+      let result;
+      try {
+        // Zoom revokes by access token (which also kills the refresh token),
+        // so make sure we hold a live one first
+        const { accessToken } = await this.getAccessTokenForUser(firebaseUid, record.zoomUserId);
+        await this._revokeToken(accessToken);
+        result = { zoomUserId: record.zoomUserId, revoked: true };
+      } catch (error) {
+        const message = error instanceof Error ? error.message : "unknown";
+        functions.logger.warn("zoomService", "Zoom token revocation failed", {
+          key,
+          error: message,
+        });
+        result = { zoomUserId: record.zoomUserId, revoked: false, error: message };
+      }
+
+      await this.tokens.delete(key);
+      this._forgetIssuedTokens(firebaseUid, record.zoomUserId);
+      functions.logger.info("zoomService", "Zoom account disconnected", {
+        firebaseUid,
+        ...result,
+      });
+      results.push(result);
+    }
+
+    await this._ensureDefaultAccount(firebaseUid);
+    return results;
+  }
+
+  /**
+   * Handle Zoom's app_deauthorized event: the user removed our app, so every
+   * zoomTokens record for that Zoom user (for any Firebase user) is purged
+   * (the grant is already gone at Zoom, nothing to revoke) and the
+   * data-compliance callback is sent.
+   * @param {{ user_id: string, account_id: string }} payload - event payload
+   * @returns {Promise<{firebaseUids: string[], complianceCompleted: boolean}>}
+   */
+  async handleDeauthorization(payload) {
+    const linked = await this.tokens.list({ zoomUserId: payload.user_id });
+
+    const firebaseUids = [...new Set(linked.map(({ key, record }) => record.firebaseUid || key))];
+    await Promise.all(linked.map(({ key }) => this.tokens.delete(key)));
+    firebaseUids.forEach((uid) => this._forgetIssuedTokens(uid, payload.user_id));
+    await Promise.all(firebaseUids.map((uid) => this._ensureDefaultAccount(uid)));
+    await Promise.all(
+      firebaseUids.map((uid) =>
+        this.audit?.record(
+          "oauth.disconnect",
+          { channel: "webhook" },
+          { subjectUid: uid, zoomUserId: payload.user_id, details: { reason: "app_deauthorized" } }
+        )
+      )
+    );
+    functions.logger.info("zoomService", "Purged tokens for deauthorized Zoom user", {
+      zoomUserId: payload.user_id,
+      firebaseUids,
+    });
+
+    let complianceCompleted = false;
+    try {
+      const credentials = Buffer.from(
+        `${this.config.clientId}:${this.config.clientSecret}`
+      ).toString("base64");
+
+      await this.http.post(
+        "POST /oauth/data/compliance",
+        this.complianceURL,
+        {
+          client_id: this.config.clientId,
+          user_id: payload.user_id,
+          account_id: payload.account_id,
+          deauthorization_event_received: payload,
+          compliance_completed: true,
         },
+        {
+          headers: {
+            Authorization: `Basic ${credentials}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+      complianceCompleted = true;
+    } catch (error) {
+      functions.logger.error("zoomService", "Data compliance callback failed", {
+        zoomUserId: payload.user_id,
+        error: error instanceof Error ? error.message : "unknown",
+      });
+    }
+
+    return { firebaseUids, complianceCompleted };
+  }
+
+  /** @private */
+  async _revokeToken(token) {
+    const credentials = Buffer.from(
+      `${this.config.clientId}:${this.config.clientSecret}`
+    ).toString("base64");
+
+    await this.http.post("POST /oauth/revoke", this.revokeURL, null, {
+      params: { token },
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Background keep-alive
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Refresh every linked account whose refresh token is nearing the end of its
+   * lifetime, so users who don't meet for a while keep their Zoom link.
+   *
+   * Each record gets a `health` entry ({ status, checkedAt, error? }):
+   * - healthy:   refresh token is not due yet
+   * - refreshed: renewed during this run
+   * - dead:      Zoom rejected the refresh token; the user must re-authorize
+   * - failed:    transient error (network, 5xx); retried on the next run
+   *
+   * The run summary is also written to zoomJobs/tokenKeepAlive.
+   * @param {{ windowMs?: number }} [options] - renew tokens this close to expiry
+   * @returns {Promise<{scanned: number, healthy: number, refreshed: number, dead: number, failed: number}>}
+   */
+  async refreshExpiringTokens(options = {}) {
+    const windowMs = options.windowMs ?? KEEPALIVE_WINDOW_MS;
+    const startedAt = Date.now();
+    const renewBefore = startedAt - (REFRESH_TOKEN_LIFETIME_MS - windowMs);
+    const summary = { scanned: 0, healthy: 0, refreshed: 0, dead: 0, failed: 0 };
+
+    const linked = await this.tokens.list();
+
+    for (const { key, record: data } of linked) {
+      summary.scanned += 1;
+
+      // Dead links only come back through a fresh OAuth connect
+      if (data.health?.status === "dead") {
+        summary.dead += 1;
+        continue;
+      }
+
+      // Records from before issuance was tracked have an unknown age: renew them
+      const issuedAt = data.refreshTokenIssuedAt || 0;
+      let health;
+
+      if (issuedAt > renewBefore) {
+        health = { status: "healthy" };
+      } else {
+        try {
+          await this._refreshSingleFlight(
+            key,
+            (record) => (record.refreshTokenIssuedAt || 0) > renewBefore
+          );
+          health = { status: "refreshed" };
+        } catch (error) {
+          health = {
+            status: error instanceof ZoomReauthRequiredError ? "dead" : "failed",
+            error: error instanceof Error ? error.message : "unknown",
+          };
+        }
       }
+
+      summary[health.status] += 1;
+      await this._recordTokenHealth(key, { ...health, checkedAt: Date.now() });
+    }
+
+    await this.jobs.set("tokenKeepAlive", { ...summary, startedAt, finishedAt: Date.now() });
+
+    functions.logger.info("zoomService", "Token keep-alive finished", summary);
+    return summary;
+  }
+
+  /** @private */
+  async _recordTokenHealth(key, health) {
+    await this.tokens.update(key, (current) =>
+      current ? { ...current, health } : undefined
     );
-    return { zakToken: response.data.token, zoomUserId };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token encryption at rest
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Return a copy of a zoomTokens record with the given tokens sealed into
+   * `tokens` (and any legacy plaintext fields dropped).
+   * @private
+   */
+  _withSealedTokens(record, accessToken, refreshToken) {
+    const { accessToken: _legacyAccess, refreshToken: _legacyRefresh, ...rest } = record;
+    const tokens = this.cipher.encrypt({ accessToken, refreshToken });
+    return { ...rest, tokens, keyId: tokens.keyId };
+  }
+
+  /**
+   * Read the tokens from a zoomTokens record. Records written before
+   * encryption was introduced still hold plaintext fields; those are returned
+   * as-is until the re-encrypt migration seals them.
+   * @private
+   */
+  _openTokens(record) {
+    if (record.tokens) {
+      return this.cipher.decrypt(record.tokens);
+    }
+    return { accessToken: record.accessToken, refreshToken: record.refreshToken };
+  }
+
+  /**
+   * Re-seal every zoomTokens record that is not encrypted with the active key
+   * (legacy plaintext records included). Run after adding a new key to the
+   * keyring and making it active; old keys can be removed once this reports
+   * no failures.
+   * @param {{ dryRun?: boolean }} [options]
+   * @returns {Promise<{scanned: number, reencrypted: number, current: number, failed: number}>}
+   */
+  async reencryptAllTokens(options = {}) {
+    const linked = await this.tokens.list();
+    const summary = { scanned: 0, reencrypted: 0, current: 0, failed: 0 };
+
+    for (const { key } of linked) {
+      summary.scanned += 1;
+      try {
+        let changed = false;
+        await this.tokens.update(key, (data) => {
+          if (!data || this.cipher.isCurrent(data.tokens)) return undefined;
+
+          changed = true;
+          const { accessToken, refreshToken } = this._openTokens(data);
+          return options.dryRun
+            ? undefined
+            : this._withSealedTokens(data, accessToken, refreshToken);
+        });
+        summary[changed ? "reencrypted" : "current"] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        functions.logger.error("zoomService", "Token re-encryption failed", {
+          key,
+          error: error instanceof Error ? error.message : "unknown",
+        });
+      }
+    }
+
+    functions.logger.info("zoomService", "Token re-encryption finished", {
+      ...summary,
+      dryRun: Boolean(options.dryRun),
+    });
+    return summary;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 3. ZAK / OBF token fetching (uses the per-user or account access token)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} firebaseUid
+   * @param {{ zoomUserId?: string }} [options] - linked account to host from
+   * @returns {Promise<{zakToken: string, zoomUserId: string, expiresAt: string,
+   *   expiresIn: number}>} expiresIn in seconds
+   */
+  async getZAKToken(firebaseUid, options = {}) {
+    const { accessToken, zoomUserId, scopes } = await this.getAccessTokenForUser(
+      firebaseUid,
+      options.zoomUserId
+    );
+    this._assertCapability(scopes, "canHost");
+
+    const { token, expiresAt } = await this._issueCached(
+      `zak:${firebaseUid}:${zoomUserId}`,
+      ZAK_TTL_MS,
+      () => this._fetchZAKToken(firebaseUid, zoomUserId, accessToken)
+    );
+    return { zakToken: token, zoomUserId, ...expiryFields(expiresAt) };
+  }
+
+  /** @private */
+  async _fetchZAKToken(firebaseUid, zoomUserId, accessToken) {
+    functions.logger.info("zoomService", "Fetching ZAK token", {
+      firebaseUid,
+      zoomUserId,
+    });
+    try {
+      const response = await this.http.get(
+        "GET /users/:userId/token",
+        `${this.baseURL}/users/${encodeURIComponent(zoomUserId)}/token`,
+        {
+          params: { type: "zak" },
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+      return response.data.token;
+    } catch (error) {
+      throw toZoomError(error, { action: "ZAK token request" });
+    }
   }
 
   /**
    * @param {string} firebaseUid
    * @param {string} meetingId
-   * @returns {Promise<{obfToken: string, zoomUserId: string}>}
+   * @param {{ zoomUserId?: string }} [options] - linked account to join as
+   * @returns {Promise<{obfToken: string, zoomUserId: string, expiresAt: string,
+   *   expiresIn: number}>} expiresIn in seconds
    */
-  async getOBFToken(firebaseUid, meetingId) {
+  async getOBFToken(firebaseUid, meetingId, options = {}) {
     if (!meetingId) {
-      throw new Error("Meeting ID is required to request an OBF token");
+      throw new ValidationError("Meeting ID is required to request an OBF token");
     }
-    const { accessToken, zoomUserId } = await this.getAccessTokenForUser(firebaseUid);
+    const { accessToken, zoomUserId, scopes } = await this.getAccessTokenForUser(
+      firebaseUid,
+      options.zoomUserId
+    );
+    this._assertCapability(scopes, "canJoinOnBehalf");
+
+    const { token, expiresAt } = await this._issueCached(
+      `obf:${firebaseUid}:${zoomUserId}:${meetingId}`,
+      OBF_TTL_MS,
+      () => this._fetchOBFToken(firebaseUid, zoomUserId, meetingId, accessToken)
+    );
+    return { obfToken: token, zoomUserId, ...expiryFields(expiresAt) };
+  }
+
+  /** @private */
+  async _fetchOBFToken(firebaseUid, zoomUserId, meetingId, accessToken) {
     functions.logger.info("zoomService", "Fetching OBF token", {
       firebaseUid,
       zoomUserId,
       meetingId,
     });
+    try {
+      const response = await this.http.get(
+        "GET /users/:userId/token",
+        `${this.baseURL}/users/${encodeURIComponent(zoomUserId)}/token`,
+        {
+          params: { type: "onbehalf", meeting_id: meetingId },
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+      return response.data.token;
+    } catch (error) {
+      throw toZoomError(error, { action: "OBF token request", meetingId });
+    }
+  }
 
-    const response = await axios.get(
-      `${this.baseURL}/users/${encodeURIComponent(zoomUserId)}/token`,
-      {
-        params: { type: "onbehalf", meeting_id: meetingId },
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
+  /**
+   * Serve an issued token from the short-lived cache, or fetch it. Identical
+   * requests arriving while a fetch is in flight share it, so a join storm
+   * for one meeting costs one Zoom call per participant.
+   * @param {string} cacheKey
+   * @param {number} fallbackTtlMs - lifetime if the token has no `exp`
+   * @param {() => Promise<string>} fetchToken
+   * @returns {Promise<{token: string, expiresAt: number}>}
+   * @private
+   */
+  _issueCached(cacheKey, fallbackTtlMs, fetchToken) {
+    const cached = this.issuedTokens.get(cacheKey);
+    const now = Date.now();
+    if (
+      cached &&
+      (!cached.value ||
+        (now - cached.value.issuedAt < ISSUED_TOKEN_CACHE_MS &&
+          cached.value.expiresAt - now > ISSUED_TOKEN_MIN_REMAINING_MS))
+    ) {
+      return cached.promise;
+    }
+
+    const entry = { value: null };
+    entry.promise = fetchToken().then(
+      (token) => {
+        entry.value = {
+          token,
+          issuedAt: Date.now(),
+          expiresAt: tokenExpiry(token, fallbackTtlMs),
+        };
+        return entry.value;
+      },
+      (error) => {
+        if (this.issuedTokens.get(cacheKey) === entry) this.issuedTokens.delete(cacheKey);
+        throw error;
       }
     );
-    return { obfToken: response.data.token, zoomUserId };
+    this.issuedTokens.set(cacheKey, entry);
+    this._pruneIssuedTokens();
+    return entry.promise;
+  }
+
+  /** Drop stale entries once the cache grows past its bound. @private */
+  _pruneIssuedTokens() {
+    if (this.issuedTokens.size <= ISSUED_TOKEN_CACHE_MAX) return;
+    const now = Date.now();
+    for (const [cacheKey, { value }] of this.issuedTokens) {
+      if (value && now - value.issuedAt >= ISSUED_TOKEN_CACHE_MS) {
+        this.issuedTokens.delete(cacheKey);
+      }
+    }
   }
 
   /**
+   * Forget cached ZAK/OBF tokens issued through a Zoom account that was just
+   * unlinked, so they aren't handed out again.
+   * @private
+   */
+  _forgetIssuedTokens(firebaseUid, zoomUserId) {
+    for (const kind of ["zak", "obf"]) {
+      const prefix = `${kind}:${firebaseUid}:${zoomUserId}`;
+      for (const cacheKey of this.issuedTokens.keys()) {
+        if (cacheKey === prefix || cacheKey.startsWith(`${prefix}:`)) {
+          this.issuedTokens.delete(cacheKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * Host ZAK plus one OBF token per participant. Participants are requested
+   * together; the HTTP client caps how many reach Zoom at once and holds the
+   * rest back while Zoom is rate-limiting, so a large class doesn't stampede.
+   * A participant whose token still fails lands in `failed`.
    * @param {string} hostFirebaseUid
    * @param {string} meetingId
    * @param {string[]} participantFirebaseUids
@@ -274,21 +1389,26 @@ class ZoomTokenService {
       participants: participantFirebaseUids.length,
     });
 
-    const { zakToken, zoomUserId: hostZoomUserId } =
+    const { zakToken, zoomUserId: hostZoomUserId, expiresAt, expiresIn } =
       await this.getZAKToken(hostFirebaseUid);
 
     const participantResults = await Promise.all(
       participantFirebaseUids.map(async (uid) => {
         try {
-          const { obfToken, zoomUserId } = await this.getOBFToken(uid, meetingId);
-          return { userId: zoomUserId, obfToken };
+          const { obfToken, zoomUserId, ...expiry } = await this.getOBFToken(uid, meetingId);
+          return { userId: zoomUserId, firebaseUid: uid, obfToken, ...expiry };
         } catch (error) {
           const message = error instanceof Error ? error.message : "Unknown error";
           functions.logger.warn("zoomService", "Participant token failed", {
             uid,
             error: message,
           });
-          return { userId: uid, error: message };
+          return {
+            userId: uid,
+            error: message,
+            code: error.code || "internal_error",
+            retryable: Boolean(error.retryable),
+          };
         }
       })
     );
@@ -297,7 +1417,7 @@ class ZoomTokenService {
     const failed = participantResults.filter((r) => "error" in r);
 
     return {
-      host: { userId: hostZoomUserId, zakToken },
+      host: { userId: hostZoomUserId, zakToken, expiresAt, expiresIn },
       participants: successful,
       failed,
       meetingId,
@@ -2,20 +2,30 @@
  * Example: Complete Token Retrieval Flow
  * Demonstrates OAuth -> ZAK -> OBF token sequence
  * 
+ * Uses account mode (Server-to-Server OAuth) with in-memory stores, so it
+ * needs neither Firebase nor a user consent flow. Example users are mapped
+ * to the Zoom users given in TEST_HOST_USER_ID / TEST_PARTICIPANT_USER_ID.
+ *
  * Run this file to test your Zoom integration:
  * node examples/testTokenRetrieval.js
  */
 
 require('dotenv').config();
-const ZoomTokenService = require('../services/zoomTokenService');
+const { ZoomTokenService } = require('../services/zoomTokenService');
+const { createTokenStores } = require('../services/tokenStore');
 
 // Configuration from environment variables
 const config = {
+  authMode: 'account',
   clientId: process.env.ZOOM_CLIENT_ID,
   clientSecret: process.env.ZOOM_CLIENT_SECRET,
   accountId: process.env.ZOOM_ACCOUNT_ID
 };
 
+// Stand-ins for Firebase UIDs, mapped to Zoom users below
+const HOST_UID = 'example-host';
+const PARTICIPANT_UID = 'example-participant';
+
 // Validate configuration
 if (!config.clientId || !config.clientSecret || !config.accountId) {
   console.error('❌ Missing Zoom credentials in .env file');
@@ -29,7 +39,14 @@ async function runExample() {
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
   // Initialize service
-  const zoomService = new ZoomTokenService(config);
+  const stores = createTokenStores({ backend: 'memory' });
+  const zoomService = new ZoomTokenService(config, stores);
+
+  // Replace with your actual Zoom user IDs or emails
+  const hostUserId = process.env.TEST_HOST_USER_ID || 'me';
+  const participantUserId = process.env.TEST_PARTICIPANT_USER_ID || 'me';
+  await stores.userMappings.set(HOST_UID, { zoomUserId: hostUserId });
+  await stores.userMappings.set(PARTICIPANT_UID, { zoomUserId: participantUserId });
 
   try {
     // =================================================================
@@ -39,7 +56,7 @@ async function runExample() {
     console.log('STEP 1: Authenticating with Zoom (Server-to-Server OAuth)');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
-    const accessToken = await zoomService.getAccessToken();
+    const { accessToken } = await zoomService.getAccessTokenForUser(HOST_UID);
     
     console.log('✅ OAuth Success!');
     console.log(`   Access Token: ${accessToken.substring(0, 30)}...`);
@@ -53,11 +70,9 @@ async function runExample() {
     console.log('STEP 2: Fetching ZAK Token for Meeting Host');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
-    // Replace with your actual Zoom user ID or email
-    const hostUserId = process.env.TEST_HOST_USER_ID || 'me';
     console.log(`   Host User ID: ${hostUserId}`);
 
-    const zakToken = await zoomService.getZAKToken(hostUserId);
+    const { zakToken } = await zoomService.getZAKToken(HOST_UID);
     
     console.log('✅ ZAK Token Retrieved!');
     console.log(`   Token: ${zakToken.substring(0, 30)}...`);
@@ -72,13 +87,12 @@ async function runExample() {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
     // Replace with actual values
-    const participantUserId = process.env.TEST_PARTICIPANT_USER_ID || 'me';
     const meetingId = process.env.TEST_MEETING_ID || '1234567890';
     
     console.log(`   Participant User ID: ${participantUserId}`);
     console.log(`   Meeting ID: ${meetingId}`);
 
-    const obfToken = await zoomService.getOBFToken(participantUserId, meetingId);
+    const { obfToken } = await zoomService.getOBFToken(PARTICIPANT_UID, meetingId);
     
     console.log('✅ OBF Token Retrieved!');
     console.log(`   Token: ${obfToken.substring(0, 30)}...`);
@@ -94,12 +108,12 @@ async function runExample() {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
     const participantIds = [
-      process.env.TEST_PARTICIPANT_1 || 'me',
-      // Add more participant IDs as needed
+      PARTICIPANT_UID,
+      // Map and add more participants as needed
     ];
 
     const allTokens = await zoomService.getMeetingTokens(
-      hostUserId,
+      HOST_UID,
       meetingId,
       participantIds
     );
@@ -140,14 +154,14 @@ async function runExample() {
     console.log('   ✅ Using Server-to-Server OAuth');
     console.log('   ✅ ZAK tokens for host authentication');
     console.log('   ✅ OBF tokens with meeting_id scoping');
-    console.log('   ✅ No database storage (tokens are ephemeral)\n');
+    console.log('   ✅ No database storage (in-memory stores, tokens are ephemeral)\n');
 
   } catch (error) {
     console.error('\n❌ ERROR:', error.message);
     console.error('\n🔧 Troubleshooting:');
     console.error('   1. Check your .env file has correct credentials');
     console.error('   2. Verify your Zoom app has required scopes:');
-    console.error('      - user:read:admin');
+    console.error('      - user:read:admin (or user:read:zak:admin + user:read:token:admin)');
     console.error('      - meeting:write:admin');
     console.error('   3. Ensure your Zoom app is activated');
     console.error('   4. Check if user IDs and meeting ID are valid');
@@ -4,7 +4,8 @@
  * 
  * Usage:
  * - Include this in your frontend application
- * - Or run with Node.js: node examples/websocketClient.js
+ * - Or run with Node.js (Firebase ID tokens of two test users):
+ *   HOST_ID_TOKEN=... PARTICIPANT_ID_TOKEN=... node examples/websocketClient.js
  */
 
 const io = require('socket.io-client');
@@ -73,6 +74,17 @@ class ZoomTokenClient {
       }
     });
 
+    // Meeting state changes reported by Zoom (live, ended, ...)
+    this.socket.on('meeting:state', (data) => {
+      console.log(`\n📡 Meeting ${data.meetingId} is now ${data.state} (${data.zoomEvent})`);
+    });
+
+    // Participants joining or leaving a meeting
+    this.socket.on('meeting:participant', (data) => {
+      const who = data.participant.name || data.participant.email || data.participant.participantId;
+      console.log(`\n👥 ${who} ${data.action} meeting ${data.meetingId}`);
+    });
+
     // Error events
     this.socket.on('error', (data) => {
       console.error('❌ Server error:', data.message);
@@ -87,37 +99,30 @@ class ZoomTokenClient {
     });
   }
 
-  // Authenticate with server
-  authenticate(userId) {
-    console.log(`\n🔐 Authenticating as: ${userId}`);
-    this.socket.emit('authenticate', { userId });
+  // Authenticate with server using a Firebase ID token
+  authenticate(idToken) {
+    console.log('\n🔐 Authenticating with Firebase ID token');
+    this.socket.emit('authenticate', { idToken });
   }
 
-  // Host starts a meeting
-  startMeeting(meetingId, hostUserId) {
+  // Host starts a meeting (as the authenticated user)
+  startMeeting(meetingId) {
     console.log(`\n📞 Starting meeting: ${meetingId}`);
-    this.socket.emit('meeting:start', {
-      meetingId,
-      hostUserId
-    });
+    this.socket.emit('meeting:start', { meetingId });
   }
 
-  // Participant joins a meeting
-  joinMeeting(meetingId, participantUserId) {
+  // Participant joins a meeting (as the authenticated user)
+  joinMeeting(meetingId) {
     console.log(`\n👤 Joining meeting: ${meetingId}`);
-    this.socket.emit('meeting:join', {
-      meetingId,
-      participantUserId
-    });
+    this.socket.emit('meeting:join', { meetingId });
   }
 
-  // Host distributes tokens to multiple participants
-  distributeTokens(meetingId, hostUserId, participantUserIds) {
-    console.log(`\n📤 Distributing tokens for ${participantUserIds.length} participants`);
+  // Host distributes tokens to multiple participants (Firebase UIDs)
+  distributeTokens(meetingId, participantFirebaseUids) {
+    console.log(`\n📤 Distributing tokens for ${participantFirebaseUids.length} participants`);
     this.socket.emit('meeting:distribute', {
       meetingId,
-      hostUserId,
-      participantUserIds
+      participantFirebaseUids
     });
   }
 
@@ -167,20 +172,20 @@ if (require.main === module) {
 
   // Example 1: Host workflow
   setTimeout(() => {
-    client.authenticate('host@example.com');
+    client.authenticate(process.env.HOST_ID_TOKEN);
     
     setTimeout(() => {
-      client.startMeeting('1234567890', 'host@example.com');
+      client.startMeeting('1234567890');
     }, 1000);
   }, 1000);
 
   // Example 2: Participant workflow
   setTimeout(() => {
     const participantClient = new ZoomTokenClient('http://localhost:3000');
-    participantClient.authenticate('participant@example.com');
+    participantClient.authenticate(process.env.PARTICIPANT_ID_TOKEN);
     
     setTimeout(() => {
-      participantClient.joinMeeting('1234567890', 'participant@example.com');
+      participantClient.joinMeeting('1234567890');
     }, 1000);
   }, 3000);
 
@@ -188,8 +193,7 @@ if (require.main === module) {
   setTimeout(() => {
     client.distributeTokens(
       '1234567890',
-      'host@example.com',
-      ['user1@example.com', 'user2@example.com', 'user3@example.com']
+      ['firebase_uid_1', 'firebase_uid_2', 'firebase_uid_3']
     );
   }, 5000);
 
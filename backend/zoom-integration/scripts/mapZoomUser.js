@@ -0,0 +1,43 @@
+/**
+ * Maintain the Firebase UID -> Zoom user mapping used in account mode
+ * (ZOOM_AUTH_MODE=account). Users without a mapping fall back to matching
+ * their Firebase email against the Zoom account.
+ *
+ * Usage:
+ *   node scripts/mapZoomUser.js <firebaseUid> <zoomUserId|email>
+ *   node scripts/mapZoomUser.js <firebaseUid> --remove
+ */
+
+require("dotenv").config();
+const admin = require("firebase-admin");
+const { createTokenStores } = require("../services/tokenStore");
+
+async function main() {
+  const [firebaseUid, target] = process.argv.slice(2);
+  if (!firebaseUid || !target) {
+    throw new Error("Usage: mapZoomUser.js <firebaseUid> <zoomUserId|email> | --remove");
+  }
+
+  admin.initializeApp();
+
+  const { userMappings } = createTokenStores({
+    backend: process.env.ZOOM_TOKEN_STORE || "firestore",
+    firestore: admin.firestore(),
+    directory: process.env.ZOOM_TOKEN_STORE_DIR,
+  });
+
+  if (target === "--remove") {
+    await userMappings.delete(firebaseUid);
+    console.log(JSON.stringify({ firebaseUid, removed: true }, null, 2));
+    return;
+  }
+
+  const mapping = { zoomUserId: target, updatedAt: Date.now() };
+  await userMappings.set(firebaseUid, mapping);
+  console.log(JSON.stringify({ firebaseUid, ...mapping }, null, 2));
+}
+
+main().catch((error) => {
+  console.error("[mapZoomUser] Failed:", error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
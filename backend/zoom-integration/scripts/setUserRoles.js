@@ -0,0 +1,43 @@
+/**
+ * Show, grant or revoke a user's roles (admin, host, participant), stored as
+ * the `roles` Firebase custom claim. Use it to bootstrap the first admin;
+ * after that admins can use /api/admin/users/:uid/roles.
+ *
+ * Usage:
+ *   node scripts/setUserRoles.js <firebaseUid|email>
+ *   node scripts/setUserRoles.js <firebaseUid|email> --grant <role>
+ *   node scripts/setUserRoles.js <firebaseUid|email> --revoke <role>
+ */
+
+require("dotenv").config();
+const admin = require("firebase-admin");
+const { RoleService } = require("../services/roleService");
+
+async function main() {
+  const [target, action, role] = process.argv.slice(2);
+  if (!target || (action && !["--grant", "--revoke"].includes(action)) || (action && !role)) {
+    throw new Error("Usage: setUserRoles.js <firebaseUid|email> [--grant|--revoke <role>]");
+  }
+
+  admin.initializeApp();
+
+  const roles = new RoleService(admin.auth(), admin.firestore(), {
+    defaultRoles: process.env.ZOOM_DEFAULT_ROLES,
+  });
+  const uid = target.includes("@") ? (await admin.auth().getUserByEmail(target)).uid : target;
+
+  let result;
+  if (action === "--grant") {
+    result = await roles.grantRole(uid, role, "setUserRoles script");
+  } else if (action === "--revoke") {
+    result = await roles.revokeRole(uid, role, "setUserRoles script");
+  } else {
+    result = await roles.getRoles(uid);
+  }
+  console.log(JSON.stringify(result, null, 2));
+}
+
+main().catch((error) => {
+  console.error("[setUserRoles] Failed:", error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,189 @@
+/**
+ * Audit Log
+ * Append-only trail in zoomAuditLog of everything that hands out or takes
+ * away Zoom access: ZAK/OBF tokens and SDK signatures, Zoom account
+ * connects and disconnects, failed token refreshes and authorization
+ * denials. Entries are only ever added (never updated or deleted), and
+ * Firestore rules keep clients out.
+ *
+ * Each entry records the actor, the user it was done for (subject), the
+ * meeting, the channel (http, websocket, webhook or system), the caller's
+ * IP, and the outcome: success, denied or failure.
+ */
+
+const admin = require("firebase-admin");
+const { AuthenticationError, ForbiddenError, ValidationError } = require("./errors");
+
+const AUDIT_ACTIONS = [
+  "token.zak",
+  "token.obf",
+  "sdk.signature",
+  "oauth.connect",
+  "oauth.disconnect",
+  "token.refresh_failed",
+  "authorization.denied",
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * @param {Error|undefined} error
+ * @returns {"success"|"denied"|"failure"}
+ */
+function outcomeOf(error) {
+  if (!error) return "success";
+  return error instanceof ForbiddenError || error instanceof AuthenticationError
+    ? "denied"
+    : "failure";
+}
+
+class AuditLog {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   */
+  constructor(firestore) {
+    this.firestore = firestore;
+  }
+
+  /**
+   * Append an entry. A failed write is logged but never fails the request
+   * being audited.
+   * @param {string} action - one of AUDIT_ACTIONS
+   * @param {{ actor?: { uid: string, email?: string }|null,
+   *   channel: "http"|"websocket"|"webhook"|"system", ip?: string, requestId?: string }} context
+   * @param {{ subjectUid?: string, meetingId?: string, zoomUserId?: string,
+   *   outcome?: "success"|"denied"|"failure", error?: Error|string, code?: string,
+   *   details?: object }} [entry]
+   *   - outcome: defaults to what `error` implies (success without one)
+   */
+  async record(action, context, entry = {}) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown audit action "${action}"`);
+    }
+
+    const actorUid = context.actor?.uid || null;
+    const subjectUid = entry.subjectUid || actorUid;
+    const record = {
+      action,
+      outcome: entry.outcome || outcomeOf(entry.error),
+      code: entry.code || entry.error?.code || null,
+      error: (entry.error instanceof Error ? entry.error.message : entry.error) || null,
+      actorUid,
+      actorEmail: context.actor?.email || null,
+      subjectUid,
+      userIds: [...new Set([actorUid, subjectUid].filter(Boolean))],
+      meetingId: entry.meetingId ? String(entry.meetingId) : null,
+      zoomUserId: entry.zoomUserId || null,
+      channel: context.channel,
+      ip: context.ip || null,
+      requestId: context.requestId || null,
+      details: entry.details || null,
+    };
+
+    try {
+      await this.firestore.collection("zoomAuditLog").add({
+        ...record,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (error) {
+      console.error("[audit] Failed to record entry", {
+        action,
+        outcome: record.outcome,
+        actorUid,
+        subjectUid,
+        error: error instanceof Error ? error.message : "unknown",
+      });
+    }
+  }
+
+  /**
+   * Record each OBF token of a batch (batch join, setup, WebSocket distribution).
+   * @param {object} context - as for record()
+   * @param {string} meetingId
+   * @param {{ issued: Array<{firebaseUid: string, userId: string}>,
+   *   failed: Array<{firebaseUid?: string, userId: string, error: string, code: string}>,
+   *   refused?: object[] }} results
+   *   - failed: per user, as returned by getMeetingTokens (userId is the Firebase UID)
+   *   - refused: the entries of `failed` refused by the invitation list
+   */
+  async recordObfResults(context, meetingId, { issued, failed, refused = [] }) {
+    await Promise.all([
+      ...issued.map((p) =>
+        this.record("token.obf", context, {
+          subjectUid: p.firebaseUid,
+          meetingId,
+          zoomUserId: p.userId,
+        })
+      ),
+      ...failed.map((f) =>
+        this.record("token.obf", context, {
+          subjectUid: f.firebaseUid || f.userId,
+          meetingId,
+          outcome: refused.includes(f) ? "denied" : "failure",
+          code: f.code,
+          error: f.error,
+        })
+      ),
+    ]);
+  }
+
+  /**
+   * Newest entries first.
+   * @param {{ userId?: string, meetingId?: string, from?: string, to?: string,
+   *   pageSize?: number|string, pageToken?: string }} [filter]
+   *   - userId: entries where the user is the actor or the subject
+   *   - from / to: ISO 8601 bounds on when the entry was recorded
+   *   - pageToken: nextPageToken of the previous page
+   * @returns {Promise<{entries: object[], nextPageToken: string|null}>}
+   * @throws {ValidationError}
+   */
+  async query({ userId, meetingId, from, to, pageSize, pageToken } = {}) {
+    const size = pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(pageSize);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+      throw new ValidationError(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const collection = this.firestore.collection("zoomAuditLog");
+    let query = collection;
+    if (userId) query = query.where("userIds", "array-contains", String(userId));
+    if (meetingId) query = query.where("meetingId", "==", String(meetingId));
+    if (from) query = query.where("createdAt", ">=", this._parseTime("from", from));
+    if (to) query = query.where("createdAt", "<=", this._parseTime("to", to));
+    query = query.orderBy("createdAt", "desc");
+
+    if (pageToken) {
+      const cursor = await collection.doc(String(pageToken)).get();
+      if (!cursor.exists) throw new ValidationError("Invalid pageToken");
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.limit(size + 1).get();
+    const docs = snapshot.docs.slice(0, size);
+    return {
+      entries: docs.map((doc) => this._toResponse(doc.id, doc.data())),
+      nextPageToken: snapshot.docs.length > size ? docs[docs.length - 1].id : null,
+    };
+  }
+
+  /** @private */
+  _parseTime(name, value) {
+    const time = new Date(String(value));
+    if (Number.isNaN(time.getTime())) {
+      throw new ValidationError(`${name} must be an ISO 8601 date`);
+    }
+    return time;
+  }
+
+  /** @private */
+  _toResponse(id, data) {
+    const { userIds: _userIds, createdAt, ...entry } = data;
+    return {
+      id,
+      ...entry,
+      createdAt: createdAt?.toDate ? createdAt.toDate().toISOString() : null,
+    };
+  }
+}
+
+module.exports = { AuditLog, AUDIT_ACTIONS };
@@ -0,0 +1,234 @@
+/**
+ * Authorization Service
+ * Decides whether an authenticated Firebase user (the actor) may act for
+ * another user: mint their ZAK/OBF tokens or distribute tokens for their
+ * meetings. An actor may act for
+ *   - themselves,
+ *   - a host who lists them in zoomDelegates/{hostFirebaseUid}, or
+ *   - anyone, with the admin role (see RoleService).
+ *
+ * A meeting belongs to its `ownerFirebaseUid` (scheduled through
+ * POST /api/meetings) or else its `hostFirebaseUid` (issued the ZAK) in
+ * zoomMeetings/{meetingId}; whoever acts for the owner, or hosts it (e.g.
+ * an alternative host issued the ZAK), may manage it. Routes also require
+ * roles (assertRole). Every denial is recorded in the audit log as
+ * `authorization.denied`.
+ */
+
+const admin = require("firebase-admin");
+const { ForbiddenError, ValidationError } = require("./errors");
+
+const MAX_DELEGATES = 50;
+
+class AuthorizationService {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {import("./roleService").RoleService} roles
+   * @param {import("./auditLog").AuditLog} [audit]
+   */
+  constructor(firestore, roles, audit) {
+    this.firestore = firestore;
+    this.roles = roles;
+    this.audit = audit || null;
+  }
+
+  /**
+   * @param {{ uid: string, roles?: string[] }} actor - decoded Firebase ID token
+   * @returns {boolean}
+   */
+  isAdmin(actor) {
+    return this.roles.rolesOf(actor).includes("admin");
+  }
+
+  /**
+   * Require one of `roles` (admins always pass), from an ID token minted
+   * after the actor's roles last changed.
+   * @param {{ uid: string, iat: number, roles?: string[] }} actor
+   * @param {string[]} roles
+   * @param {{ action: string, channel: "http"|"websocket", meetingId?: string,
+   *   requestId?: string, ip?: string }} context - recorded with a denial
+   * @throws {ApiError} token_refresh_required (401)
+   * @throws {ForbiddenError} missing_role
+   */
+  async assertRole(actor, roles, context) {
+    await this.roles.assertFreshClaims(actor);
+    if (this.roles.hasAnyRole(actor, roles)) return;
+
+    await this.recordDenial(actor, "missing_role", context);
+    throw new ForbiddenError(`This requires the ${roles.join(" or ")} role`, "missing_role");
+  }
+
+  /**
+   * @param {string} hostFirebaseUid
+   * @returns {Promise<string[]>} Firebase UIDs allowed to act for the host
+   */
+  async listDelegates(hostFirebaseUid) {
+    const snapshot = await this._delegatesRef(hostFirebaseUid).get();
+    return snapshot.exists ? snapshot.data().delegateFirebaseUids || [] : [];
+  }
+
+  /**
+   * Allow another user to act for a host.
+   * @param {string} hostFirebaseUid
+   * @param {string} delegateFirebaseUid
+   * @returns {Promise<string[]>} the host's delegates afterwards
+   */
+  async addDelegate(hostFirebaseUid, delegateFirebaseUid) {
+    if (delegateFirebaseUid === hostFirebaseUid) {
+      throw new ValidationError("A user cannot be their own delegate");
+    }
+    return this._updateDelegates(hostFirebaseUid, (delegates) => {
+      if (delegates.includes(delegateFirebaseUid)) return delegates;
+      if (delegates.length >= MAX_DELEGATES) {
+        throw new ValidationError(`A host can have at most ${MAX_DELEGATES} delegates`);
+      }
+      return [...delegates, delegateFirebaseUid];
+    });
+  }
+
+  /**
+   * @param {string} hostFirebaseUid
+   * @param {string} delegateFirebaseUid
+   * @returns {Promise<string[]>} the host's delegates afterwards
+   */
+  async removeDelegate(hostFirebaseUid, delegateFirebaseUid) {
+    return this._updateDelegates(hostFirebaseUid, (delegates) =>
+      delegates.filter((uid) => uid !== delegateFirebaseUid)
+    );
+  }
+
+  /**
+   * Require that the actor may act for `principalUid`.
+   * @param {{ uid: string, email?: string, roles?: string[] }} actor
+   * @param {string} principalUid - user whose tokens are being requested
+   * @param {{ action: string, channel: "http"|"websocket", meetingId?: string,
+   *   requestId?: string, ip?: string }} context - recorded with a denial
+   * @returns {Promise<"self"|"delegate"|"admin">} why the actor is allowed
+   * @throws {ForbiddenError} not_authorized_for_user
+   */
+  async assertCanActFor(actor, principalUid, context) {
+    const basis = await this._basis(actor, principalUid);
+    if (basis) return basis;
+
+    await this.recordDenial(actor, "not_authorized_for_user", { ...context, principalUid });
+    throw new ForbiddenError(
+      `You are not allowed to act for user ${principalUid}`,
+      "not_authorized_for_user"
+    );
+  }
+
+  /**
+   * Require that the actor may act for a meeting's owner, e.g. to hand out
+   * OBF tokens for it. Meetings nobody has started or scheduled here yet
+   * have no owner and are open to admins only.
+   * @param {{ uid: string, email?: string, roles?: string[] }} actor
+   * @param {string} meetingId
+   * @param {{ action: string, channel: "http"|"websocket", requestId?: string,
+   *   ip?: string }} context
+   * @returns {Promise<{ownerFirebaseUid: string|null,
+   *   basis: "self"|"delegate"|"admin"|"host"}>}
+   * @throws {ForbiddenError} not_meeting_owner
+   */
+  async assertCanManageMeeting(actor, meetingId, context) {
+    const { ownerFirebaseUid, basis } = await this._meetingBasis(actor, meetingId);
+    if (basis) return { ownerFirebaseUid, basis };
+
+    await this.recordDenial(actor, "not_meeting_owner", {
+      ...context,
+      meetingId,
+      principalUid: ownerFirebaseUid,
+    });
+    throw new ForbiddenError(
+      ownerFirebaseUid
+        ? `You are not allowed to manage meeting ${meetingId}`
+        : `Meeting ${meetingId} has no host yet; start it first`,
+      "not_meeting_owner"
+    );
+  }
+
+  /**
+   * Whether the actor may manage a meeting, without recording a denial.
+   * @param {{ uid: string, roles?: string[] }} actor
+   * @param {string} meetingId
+   * @returns {Promise<"self"|"delegate"|"admin"|"host"|null>} why, or null if not
+   */
+  async canManageMeeting(actor, meetingId) {
+    return (await this._meetingBasis(actor, meetingId)).basis;
+  }
+
+  /** @private */
+  async _meetingBasis(actor, meetingId) {
+    const snapshot = await this.firestore.collection("zoomMeetings").doc(meetingId).get();
+    const meeting = snapshot.exists ? snapshot.data() : {};
+    const ownerFirebaseUid = meeting.ownerFirebaseUid || meeting.hostFirebaseUid || null;
+
+    let basis = ownerFirebaseUid
+      ? await this._basis(actor, ownerFirebaseUid)
+      : this.isAdmin(actor) && "admin";
+    if (!basis && actor?.uid && actor.uid === meeting.hostFirebaseUid) basis = "host";
+    return { ownerFirebaseUid, basis: basis || null };
+  }
+
+  /** @private */
+  async _basis(actor, principalUid) {
+    if (!actor?.uid) return null;
+    if (actor.uid === principalUid) return "self";
+    if (this.isAdmin(actor)) return "admin";
+    const delegates = await this.listDelegates(principalUid);
+    return delegates.includes(actor.uid) ? "delegate" : null;
+  }
+
+  /**
+   * Log a refused request and record it in the audit log as
+   * `authorization.denied`. The audit log never fails the request, so the
+   * denial itself is always what the caller sees.
+   * @param {{ uid: string, email?: string }|null} actor
+   * @param {string} code - the ForbiddenError code, e.g. "not_invited"
+   * @param {{ action: string, channel: "http"|"websocket", principalUid?: string,
+   *   meetingId?: string, requestId?: string, ip?: string }} context
+   */
+  async recordDenial(actor, code, context) {
+    console.warn("[authz] Request denied", {
+      actorUid: actor?.uid || null,
+      code,
+      action: context.action,
+      channel: context.channel,
+      principalUid: context.principalUid || null,
+      meetingId: context.meetingId || null,
+      requestId: context.requestId || null,
+    });
+
+    await this.audit?.record(
+      "authorization.denied",
+      { actor, channel: context.channel, ip: context.ip, requestId: context.requestId },
+      {
+        subjectUid: context.principalUid,
+        meetingId: context.meetingId,
+        outcome: "denied",
+        code,
+        details: { action: context.action },
+      }
+    );
+  }
+
+  /** @private */
+  async _updateDelegates(hostFirebaseUid, change) {
+    const ref = this._delegatesRef(hostFirebaseUid);
+    return this.firestore.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const delegates = change(snapshot.exists ? snapshot.data().delegateFirebaseUids || [] : []);
+      tx.set(ref, {
+        delegateFirebaseUids: delegates,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return delegates;
+    });
+  }
+
+  /** @private */
+  _delegatesRef(hostFirebaseUid) {
+    return this.firestore.collection("zoomDelegates").doc(hostFirebaseUid);
+  }
+}
+
+module.exports = { AuthorizationService };
@@ -0,0 +1,358 @@
+/**
+ * Invitation Service
+ * Keeps the invitee list of a meeting in zoomMeetings/{meetingId}/invitees
+ * and decides who may be issued an OBF token for it. An invitee is one of
+ *   - a Firebase UID   (doc id "uid:<firebaseUid>"),
+ *   - an email address (doc id "email:<lowercased email>"), or
+ *   - a group          (doc id "group:<name>"), matching users whose
+ *                      `groups` custom claim contains that name (managed
+ *                      by admins through RoleService).
+ *
+ * Emails only match verified addresses: anyone can sign up with an address
+ * they don't own.
+ *
+ * Invitees accept or decline; a user matching several entries is judged by
+ * the most specific one (UID, then email, then group). Declined invitees and
+ * users not on the list are refused, except those who may manage the meeting
+ * (AuthorizationService.canManageMeeting).
+ */
+
+const admin = require("firebase-admin");
+const { ForbiddenError, ValidationError } = require("./errors");
+const { GROUP_PATTERN } = require("./roleService");
+
+const INVITEE_TYPES = ["uid", "email", "group"];
+const RESPONSES = ["accepted", "declined"];
+const MAX_INVITEES_PER_REQUEST = 100;
+
+const EMAIL_PATTERN = /^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/;
+
+/**
+ * Validate one invitee from a request body.
+ * @param {{ firebaseUid?: string, email?: string, group?: string }} entry
+ * @returns {{ inviteeId: string, type: string, value: string }}
+ */
+function parseInvitee(entry = {}) {
+  const given = INVITEE_TYPES.filter((type) => entry[fieldOf(type)] !== undefined);
+  if (given.length !== 1) {
+    throw new ValidationError("Each invitee needs exactly one of firebaseUid, email or group");
+  }
+
+  const type = given[0];
+  let value = String(entry[fieldOf(type)] || "").trim();
+  if (type === "email") value = value.toLowerCase();
+
+  const valid =
+    type === "uid"
+      ? value.length > 0 && value.length <= 128 && !value.includes("/")
+      : type === "email"
+        ? EMAIL_PATTERN.test(value)
+        : GROUP_PATTERN.test(value);
+  if (!valid) {
+    throw new ValidationError(`Invalid invitee ${fieldOf(type)} "${entry[fieldOf(type)]}"`);
+  }
+  return { inviteeId: `${type}:${value}`, type, value };
+}
+
+/** Request/response field name of an invitee type. */
+function fieldOf(type) {
+  return type === "uid" ? "firebaseUid" : type;
+}
+
+class InvitationService {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {import("firebase-admin").auth.Auth} auth - looks up invitees by UID
+   * @param {import("./authorizationService").AuthorizationService} authorization
+   */
+  constructor(firestore, auth, authorization) {
+    this.firestore = firestore;
+    this.auth = auth;
+    this.authorization = authorization;
+  }
+
+  /**
+   * @param {string} meetingId
+   * @returns {Promise<object[]>} invitees, as returned to the host
+   */
+  async listInvitees(meetingId) {
+    const snapshot = await this._inviteesRef(meetingId).get();
+    return snapshot.docs.map((doc) => this._toResponse(doc.id, doc.data()));
+  }
+
+  /**
+   * Invite users, emails or groups. Re-inviting keeps an existing response.
+   * @param {string} meetingId
+   * @param {object[]} entries - [{ firebaseUid } | { email } | { group }]
+   * @param {string} invitedBy - Firebase UID of the host
+   * @returns {Promise<object[]>} the meeting's invitees afterwards
+   */
+  async addInvitees(meetingId, entries, invitedBy) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new ValidationError("invitees must be a non-empty array");
+    }
+    if (entries.length > MAX_INVITEES_PER_REQUEST) {
+      throw new ValidationError(`At most ${MAX_INVITEES_PER_REQUEST} invitees per request`);
+    }
+    const invitees = entries.map(parseInvitee);
+
+    const collection = this._inviteesRef(meetingId);
+    await this.firestore.runTransaction(async (tx) => {
+      const refs = invitees.map(({ inviteeId }) => collection.doc(inviteeId));
+      const snapshots = await Promise.all(refs.map((ref) => tx.get(ref)));
+      snapshots.forEach((snapshot, i) => {
+        if (snapshot.exists) return;
+        const { type, value } = invitees[i];
+        tx.set(refs[i], {
+          type,
+          value,
+          status: "pending",
+          invitedBy: invitedBy || null,
+          invitedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    });
+
+    console.log("[invitations] Invitees added", {
+      meetingId,
+      count: invitees.length,
+      invitedBy,
+    });
+    return this.listInvitees(meetingId);
+  }
+
+  /**
+   * Withdraw an invitation. Participants it let in who are not invited by
+   * another entry are dropped from participantFirebaseUids, so they get no
+   * further SDK signatures.
+   * @param {string} meetingId
+   * @param {string} inviteeId - e.g. "uid:abc", "email:a@example.com", "group:staff"
+   * @returns {Promise<object[]>} the meeting's invitees afterwards
+   */
+  async removeInvitee(meetingId, inviteeId) {
+    await this._inviteesRef(meetingId).doc(inviteeId).delete();
+
+    const meetingRef = this.firestore.collection("zoomMeetings").doc(meetingId);
+    const meeting = await meetingRef.get();
+    const admitted = (meeting.exists && meeting.data().participantFirebaseUids) || [];
+    // A UID entry only ever let in that user; an email or group entry, anyone
+    const affected = inviteeId.startsWith("uid:")
+      ? admitted.filter((uid) => `uid:${uid}` === inviteeId)
+      : admitted;
+    const { refused } = await this.partitionInvited(meetingId, affected);
+    const dropped = refused.map(({ firebaseUid }) => firebaseUid);
+    if (dropped.length > 0) {
+      await meetingRef.update({
+        participantFirebaseUids: admin.firestore.FieldValue.arrayRemove(...dropped),
+      });
+    }
+
+    console.log("[invitations] Invitee removed", { meetingId, inviteeId, dropped });
+    return this.listInvitees(meetingId);
+  }
+
+  /**
+   * Record the user's answer to an invitation. An answer to an email entry is
+   * stored on it; an answer through a group is stored as the user's own UID
+   * entry, so other group members are not affected.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string, email_verified?: boolean, groups?: string[] }} user
+   *   - decoded ID token
+   * @param {"accepted"|"declined"} response
+   * @returns {Promise<object>} the user's invitation afterwards
+   * @throws {ForbiddenError} not_invited
+   */
+  async respond(meetingId, user, response) {
+    if (!RESPONSES.includes(response)) {
+      throw new ValidationError(`response must be one of ${RESPONSES.join(", ")}`);
+    }
+
+    const match = await this._match(meetingId, this._identityOf(user));
+    if (!match) {
+      throw new ForbiddenError(`You are not invited to meeting ${meetingId}`, "not_invited");
+    }
+
+    const answer = {
+      status: response,
+      respondedByFirebaseUid: user.uid,
+      respondedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    let inviteeId = match.inviteeId;
+    if (match.type === "group") {
+      inviteeId = `uid:${user.uid}`;
+      await this._inviteesRef(meetingId).doc(inviteeId).set({
+        type: "uid",
+        value: user.uid,
+        viaInviteeId: match.inviteeId,
+        invitedBy: match.invitedBy || null,
+        invitedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...answer,
+      });
+    } else {
+      await this._inviteesRef(meetingId).doc(inviteeId).set(answer, { merge: true });
+    }
+
+    console.log("[invitations] Invitation answered", { meetingId, uid: user.uid, response });
+    const snapshot = await this._inviteesRef(meetingId).doc(inviteeId).get();
+    return this._toResponse(inviteeId, snapshot.data());
+  }
+
+  /**
+   * The invitee entry deciding for the user, whatever its status.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string, email_verified?: boolean, groups?: string[] }} user
+   *   - decoded ID token
+   * @returns {Promise<object|null>} null when the user is not invited
+   */
+  async findInvitation(meetingId, user) {
+    const match = await this._match(meetingId, this._identityOf(user));
+    return match && this._toResponse(match.inviteeId, match);
+  }
+
+  /**
+   * Require that a user may be issued an OBF token for the meeting: someone
+   * who may manage it, or an invitee who has not declined.
+   * @param {string} meetingId
+   * @param {string} firebaseUid
+   * @param {{ user?: object, actor?: object, context?: object }} [options]
+   *   - user: the user's decoded ID token, when they are the caller (saves
+   *     looking them up)
+   *   - actor, context: who asked and where, as for AuthorizationService;
+   *     given, a refusal is recorded as an authorization denial
+   * @returns {Promise<{inviteeId: string|null, status: string}>}
+   * @throws {ForbiddenError} not_invited or invitation_declined
+   */
+  async assertInvited(meetingId, firebaseUid, { user, actor, context } = {}) {
+    const identity =
+      user?.uid === firebaseUid ? this._identityOf(user) : await this._lookupIdentity(firebaseUid);
+    if (await this.authorization.canManageMeeting(identity, meetingId)) {
+      return { inviteeId: null, status: "owner" };
+    }
+
+    const match = await this._match(meetingId, identity);
+    const refusal = !match
+      ? new ForbiddenError(
+          `User ${firebaseUid} is not invited to meeting ${meetingId}`,
+          "not_invited"
+        )
+      : match.status === "declined"
+        ? new ForbiddenError(
+            `User ${firebaseUid} declined the invitation to meeting ${meetingId}`,
+            "invitation_declined"
+          )
+        : null;
+    if (refusal) {
+      if (context) {
+        await this.authorization.recordDenial(actor || user || null, refusal.code, {
+          ...context,
+          meetingId,
+          principalUid: firebaseUid,
+        });
+      }
+      throw refusal;
+    }
+    return { inviteeId: match.inviteeId, status: match.status };
+  }
+
+  /**
+   * Split users into those who may be issued an OBF token and refusals in
+   * the shape of batch token failures.
+   * @param {string} meetingId
+   * @param {string[]} firebaseUids
+   * @returns {Promise<{invited: string[], refused: object[]}>}
+   */
+  async partitionInvited(meetingId, firebaseUids) {
+    const invited = [];
+    const refused = [];
+    await Promise.all(
+      firebaseUids.map(async (uid) => {
+        try {
+          await this.assertInvited(meetingId, uid);
+          invited.push(uid);
+        } catch (error) {
+          if (!(error instanceof ForbiddenError)) throw error;
+          refused.push({
+            userId: uid,
+            firebaseUid: uid,
+            error: error.message,
+            code: error.code,
+            retryable: false,
+          });
+        }
+      })
+    );
+    return { invited: firebaseUids.filter((uid) => invited.includes(uid)), refused };
+  }
+
+  /**
+   * The invitee entry deciding for this identity, most specific first.
+   * @private
+   */
+  async _match(meetingId, { uid, email, groups }) {
+    const candidates = [
+      `uid:${uid}`,
+      ...(email ? [`email:${email.toLowerCase()}`] : []),
+      ...groups.filter((group) => GROUP_PATTERN.test(group)).map((group) => `group:${group}`),
+    ];
+    const collection = this._inviteesRef(meetingId);
+    const snapshots = await Promise.all(candidates.map((id) => collection.doc(id).get()));
+    const index = snapshots.findIndex((snapshot) => snapshot.exists);
+    return index === -1 ? null : { inviteeId: candidates[index], ...snapshots[index].data() };
+  }
+
+  /**
+   * What invitations and meeting management are matched against; `roles`
+   * stays unset without a claim so the default roles apply.
+   * @private
+   */
+  _identityOf(user) {
+    return {
+      uid: user.uid,
+      email: (user.email_verified && user.email) || null,
+      groups: Array.isArray(user.groups) ? user.groups.map(String) : [],
+      ...(Array.isArray(user.roles) ? { roles: user.roles } : {}),
+    };
+  }
+
+  /**
+   * Email, groups and roles of a user who is not the caller. A user unknown to
+   * Firebase Auth can still match by UID.
+   * @private
+   */
+  async _lookupIdentity(firebaseUid) {
+    try {
+      const record = await this.auth.getUser(firebaseUid);
+      return this._identityOf({
+        uid: firebaseUid,
+        email: record.email,
+        email_verified: record.emailVerified,
+        groups: record.customClaims?.groups,
+        roles: record.customClaims?.roles,
+      });
+    } catch (error) {
+      if (error?.code === "auth/user-not-found") return this._identityOf({ uid: firebaseUid });
+      throw error;
+    }
+  }
+
+  /** @private */
+  _toResponse(inviteeId, data) {
+    const timestamp = (value) => (value?.toDate ? value.toDate().toISOString() : null);
+    return {
+      inviteeId,
+      [fieldOf(data.type)]: data.value,
+      status: data.status,
+      ...(data.viaInviteeId ? { viaInviteeId: data.viaInviteeId } : {}),
+      invitedBy: data.invitedBy || null,
+      invitedAt: timestamp(data.invitedAt),
+      respondedAt: timestamp(data.respondedAt),
+    };
+  }
+
+  /** @private */
+  _inviteesRef(meetingId) {
+    return this.firestore.collection("zoomMeetings").doc(meetingId).collection("invitees");
+  }
+}
+
+module.exports = { InvitationService };
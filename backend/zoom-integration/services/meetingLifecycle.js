@@ -0,0 +1,186 @@
+/**
+ * Meeting Lifecycle
+ * The state of a meeting, kept as `status` on zoomMeetings/{meetingId}:
+ *
+ *   scheduled --> live --> ended --> archived
+ *       |          |
+ *       |          +--> scheduled   (a recurring or Personal Meeting ID meeting ended)
+ *       +--> cancelled
+ *
+ * Our own API calls (schedule, cancel, archive) and Zoom's meeting events
+ * drive the transitions; each one is appended to `statusHistory`. Only Zoom's
+ * meeting.started makes a meeting live: a host issued a ZAK may never start it.
+ * Meetings this backend has not seen change yet count as scheduled.
+ * No tokens are issued for ended, archived or cancelled meetings.
+ */
+
+const admin = require("firebase-admin");
+const { ApiError } = require("./errors");
+
+const MEETING_STATES = ["scheduled", "live", "ended", "archived", "cancelled"];
+
+const TRANSITIONS = {
+  scheduled: ["live", "cancelled"],
+  live: ["ended", "scheduled"],
+  ended: ["archived"],
+  archived: [],
+  cancelled: [],
+};
+
+// zoomMeetings field stamped when a meeting enters the state
+const ENTERED_AT = {
+  live: "startedAt",
+  ended: "endedAt",
+  archived: "archivedAt",
+  cancelled: "cancelledAt",
+};
+
+// Error codes refusing token issuance, per state
+const CLOSED_STATES = {
+  ended: "meeting_ended",
+  archived: "meeting_ended",
+  cancelled: "meeting_cancelled",
+};
+
+/**
+ * @param {object|undefined} data - zoomMeetings document
+ * @returns {string} the meeting's state
+ */
+function stateOf(data) {
+  return MEETING_STATES.includes(data?.status) ? data.status : "scheduled";
+}
+
+/**
+ * @param {string} state
+ * @returns {boolean} whether the meeting is over (ended, archived or cancelled)
+ */
+function isClosed(state) {
+  return state in CLOSED_STATES;
+}
+
+class MeetingLifecycle {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   */
+  constructor(firestore) {
+    this.firestore = firestore;
+  }
+
+  /**
+   * @param {string} meetingId
+   * @returns {Promise<{meetingId: string, state: string, stateChangedAt: string|null,
+   *   history: object[]}>}
+   */
+  async getState(meetingId) {
+    const snapshot = await this._meetingRef(meetingId).get();
+    const data = snapshot.exists ? snapshot.data() : {};
+    return {
+      meetingId,
+      state: stateOf(data),
+      stateChangedAt: data.statusChangedAt?.toDate
+        ? data.statusChangedAt.toDate().toISOString()
+        : null,
+      history: data.statusHistory || [],
+    };
+  }
+
+  /**
+   * Throw unless a meeting in `data` may move to state `to`.
+   * @param {string} meetingId
+   * @param {object|undefined} data - zoomMeetings document
+   * @param {string} to
+   * @throws {ApiError} invalid_state_transition (409)
+   */
+  assertTransition(meetingId, data, to) {
+    const from = stateOf(data);
+    if (from === to || TRANSITIONS[from].includes(to)) return;
+    throw new ApiError(
+      "invalid_state_transition",
+      `Meeting ${meetingId} is ${from} and cannot become ${to}`,
+      { status: 409, details: { meetingId, from, to } }
+    );
+  }
+
+  /**
+   * Move a meeting to state `to`. Moving to its current state changes
+   * nothing, so retried calls and repeated Zoom events are harmless.
+   * @param {string} meetingId
+   * @param {string} to
+   * @param {{ source: string, actorUid?: string, strict?: boolean }} context
+   *   - source: what caused it, e.g. "api" or "zoom:meeting.ended"
+   *   - strict: throw on a transition the state machine forbids (default);
+   *     otherwise log it and leave the meeting as it is
+   * @returns {Promise<{meetingId: string, from: string, state: string, changed: boolean}>}
+   * @throws {ApiError} invalid_state_transition (409)
+   */
+  async transition(meetingId, to, { source, actorUid = null, strict = true }) {
+    if (!MEETING_STATES.includes(to)) {
+      throw new Error(`Unknown meeting state "${to}"`);
+    }
+
+    const ref = this._meetingRef(meetingId);
+    const result = await this.firestore.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const data = snapshot.exists ? snapshot.data() : undefined;
+      const from = stateOf(data);
+      if (from === to) return { meetingId, from, state: to, changed: false };
+
+      try {
+        this.assertTransition(meetingId, data, to);
+      } catch (error) {
+        if (strict) throw error;
+        console.warn("[lifecycle] Ignoring invalid transition", { meetingId, from, to, source });
+        return { meetingId, from, state: from, changed: false };
+      }
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      tx.set(
+        ref,
+        {
+          status: to,
+          statusChangedAt: now,
+          ...(ENTERED_AT[to] ? { [ENTERED_AT[to]]: now } : {}),
+          statusHistory: admin.firestore.FieldValue.arrayUnion({
+            from,
+            to,
+            source,
+            actorUid,
+            at: new Date().toISOString(),
+          }),
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+      return { meetingId, from, state: to, changed: true };
+    });
+
+    if (result.changed) {
+      console.log("[lifecycle] Meeting state changed", { ...result, source, actorUid });
+    }
+    return result;
+  }
+
+  /**
+   * Refuse token issuance for meetings that are over.
+   * @param {string} meetingId
+   * @throws {ApiError} meeting_ended or meeting_cancelled (409)
+   */
+  async assertOpen(meetingId) {
+    const snapshot = await this._meetingRef(meetingId).get();
+    const state = stateOf(snapshot.exists ? snapshot.data() : undefined);
+    if (isClosed(state)) {
+      throw new ApiError(
+        CLOSED_STATES[state],
+        `Meeting ${meetingId} is ${state}; no tokens are issued for it`,
+        { status: 409, details: { meetingId, state } }
+      );
+    }
+  }
+
+  /** @private */
+  _meetingRef(meetingId) {
+    return this.firestore.collection("zoomMeetings").doc(meetingId);
+  }
+}
+
+module.exports = { MeetingLifecycle, MEETING_STATES, stateOf, isClosed };
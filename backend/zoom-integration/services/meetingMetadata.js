@@ -0,0 +1,139 @@
+/**
+ * Meeting Metadata
+ * What a token request records on zoomMeetings/{meetingId}, written the same
+ * way by the HTTP routes and the WebSocket handler:
+ *
+ * - hostFirebaseUid: who was issued the meeting's ZAK. Ownership checks
+ *   (managing invitees, attendance) and host SDK signatures rely on it.
+ * - participantFirebaseUids: users issued an OBF token, admitted for SDK
+ *   signatures and Zoom webhook broadcasts.
+ * - issuedZoomUserIds: the Zoom user each Firebase user was issued a token
+ *   as, so attendance can match Zoom's participants and flag no-shows.
+ */
+
+const admin = require("firebase-admin");
+
+class MeetingMetadata {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   */
+  constructor(firestore) {
+    this.firestore = firestore;
+  }
+
+  /**
+   * A ZAK was issued to the meeting's host.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string }} requester
+   * @param {{ hostFirebaseUid: string, zoomUserId: string }} host
+   */
+  async recordZak(meetingId, requester, { hostFirebaseUid, zoomUserId }) {
+    await this.store(meetingId, requester, {
+      hostFirebaseUid,
+      startedByZoomUserId: zoomUserId,
+      lastZakIssuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...issuedTokens([{ firebaseUid: hostFirebaseUid, userId: zoomUserId }]),
+    });
+  }
+
+  /**
+   * An OBF token was issued to one participant.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string }} requester
+   * @param {{ firebaseUid: string, zoomUserId: string }} participant
+   */
+  async recordObf(meetingId, requester, { firebaseUid, zoomUserId }) {
+    await this.store(meetingId, requester, {
+      lastObfIssuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      participantZoomUserId: zoomUserId,
+      ...admittedParticipants([{ firebaseUid, userId: zoomUserId }]),
+    });
+  }
+
+  /**
+   * OBF tokens were issued to several participants at once.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string }} requester
+   * @param {string[]} requestedUids - everyone the batch asked for
+   * @param {Array<{firebaseUid: string, userId: string}>} issued - userId: Zoom user ID
+   */
+  async recordObfBatch(meetingId, requester, requestedUids, issued) {
+    await this.store(meetingId, requester, {
+      batchParticipants: requestedUids,
+      batchRequestedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...admittedParticipants(issued),
+    });
+  }
+
+  /**
+   * A host's ZAK and participants' OBF tokens were issued together.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string }} requester
+   * @param {string} hostFirebaseUid
+   * @param {{ host: {userId: string},
+   *   participants: Array<{firebaseUid: string, userId: string}> }} tokens
+   *   - from ZoomTokenService.getMeetingTokens
+   */
+  async recordMeetingTokens(meetingId, requester, hostFirebaseUid, tokens) {
+    await this.store(meetingId, requester, {
+      hostFirebaseUid,
+      ...admittedParticipants(tokens.participants),
+      ...issuedTokens([
+        { firebaseUid: hostFirebaseUid, userId: tokens.host.userId },
+        ...tokens.participants,
+      ]),
+      meetingTokensRequestedAt: admin.firestore.FieldValue.serverTimestamp(),
+      meetingTokensSummary: {
+        host: tokens.host.userId,
+        participants: tokens.participants.map((p) => p.userId),
+      },
+    });
+  }
+
+  /**
+   * Merge fields into the meeting, stamped with who asked.
+   * @param {string} meetingId
+   * @param {{ uid: string, email?: string }|null} requester
+   * @param {object} metadata
+   */
+  async store(meetingId, requester, metadata) {
+    if (!requester) return;
+    await this.firestore
+      .collection("zoomMeetings")
+      .doc(meetingId)
+      .set(
+        {
+          ...metadata,
+          requestedBy: requester.uid,
+          requestedByEmail: requester.email || null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+  }
+}
+
+/**
+ * @param {Array<{firebaseUid: string, userId: string}>} issued - userId: Zoom user ID
+ */
+function issuedTokens(issued) {
+  return issued.length > 0
+    ? { issuedZoomUserIds: Object.fromEntries(issued.map((p) => [p.firebaseUid, p.userId])) }
+    : {};
+}
+
+/**
+ * @param {Array<{firebaseUid: string, userId: string}>} issued
+ */
+function admittedParticipants(issued) {
+  return issued.length > 0
+    ? {
+        participantFirebaseUids: admin.firestore.FieldValue.arrayUnion(
+          ...issued.map((p) => p.firebaseUid)
+        ),
+        ...issuedTokens(issued),
+      }
+    : {};
+}
+
+module.exports = { MeetingMetadata };
@@ -0,0 +1,578 @@
+/**
+ * Meeting Service
+ * Schedules, updates and cancels Zoom meetings on a host's own Zoom account
+ * (through their stored OAuth token, or the account app in account mode) and
+ * mirrors each change into zoomMeetings/{meetingId}.
+ *
+ * Meetings created here carry `ownerFirebaseUid`; only that user may change
+ * or cancel them. Cancelled meetings keep their document (status "cancelled");
+ * `status` follows the lifecycle in meetingLifecycle.js.
+ *
+ * Also lists a host's upcoming meetings straight from Zoom, so meetings
+ * scheduled in the Zoom app itself show up too, and checks that a user may
+ * host a meeting before a ZAK is issued for it.
+ */
+
+const admin = require("firebase-admin");
+const {
+  ApiError,
+  ForbiddenError,
+  ValidationError,
+  ZoomMeetingNotFoundError,
+  toZoomError,
+} = require("./errors");
+const { stateOf, isClosed } = require("./meetingLifecycle");
+
+const MEETING_TYPE_INSTANT = 1;
+const MEETING_TYPE_SCHEDULED = 2;
+
+// Zoom meeting `type` values, as names for API responses
+const MEETING_TYPES = {
+  1: "instant",
+  2: "scheduled",
+  3: "recurring_no_fixed_time",
+  8: "recurring",
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ZOOM_LIST_PAGE_SIZE = 300; // Zoom's maximum
+const MAX_ZOOM_LIST_PAGES = 3; // upcoming lists beyond 900 meetings are truncated
+
+// How long a verified host is trusted before Zoom is asked again
+const HOST_VERIFICATION_TTL_MS = 10 * 60 * 1000;
+
+const MAX_TOPIC_LENGTH = 200;
+const MAX_AGENDA_LENGTH = 2000;
+const MAX_PASSWORD_LENGTH = 10;
+
+/** Zoom wants UTC times as yyyy-MM-ddTHH:mm:ssZ (no milliseconds). */
+const toZoomTime = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * Validate a create/update body and translate it to Zoom's field names.
+ * @param {object} body - topic, startTime, duration, timezone, agenda, password, settings
+ * @param {{ partial: boolean }} mode - updates may omit anything (but not everything)
+ * @returns {{ zoom: object, mirror: object }} Zoom request body and zoomMeetings fields
+ */
+function parseMeetingInput(body = {}, { partial }) {
+  const zoom = {};
+  const mirror = {};
+
+  if (body.topic !== undefined || !partial) {
+    const topic = String(body.topic || "").trim();
+    if (!topic || topic.length > MAX_TOPIC_LENGTH) {
+      throw new ValidationError(`topic is required (at most ${MAX_TOPIC_LENGTH} characters)`);
+    }
+    zoom.topic = topic;
+    mirror.topic = topic;
+  }
+
+  if (body.startTime !== undefined && body.startTime !== null) {
+    const startTime = new Date(body.startTime);
+    if (Number.isNaN(startTime.getTime())) {
+      throw new ValidationError("startTime must be an ISO-8601 date-time");
+    }
+    zoom.start_time = toZoomTime(startTime);
+    mirror.startTime = startTime.toISOString();
+  }
+
+  if (body.duration !== undefined) {
+    const duration = Number(body.duration);
+    if (!Number.isInteger(duration) || duration <= 0) {
+      throw new ValidationError("duration must be a positive number of minutes");
+    }
+    zoom.duration = duration;
+    mirror.duration = duration;
+  }
+
+  if (body.timezone !== undefined) {
+    const timezone = String(body.timezone).trim();
+    zoom.timezone = timezone;
+    mirror.timezone = timezone;
+  }
+
+  if (body.agenda !== undefined) {
+    const agenda = String(body.agenda);
+    if (agenda.length > MAX_AGENDA_LENGTH) {
+      throw new ValidationError(`agenda must be at most ${MAX_AGENDA_LENGTH} characters`);
+    }
+    zoom.agenda = agenda;
+    mirror.agenda = agenda;
+  }
+
+  // Sent to Zoom only -- the passcode is never mirrored
+  if (body.password !== undefined) {
+    const password = String(body.password);
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      throw new ValidationError(`password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    zoom.password = password;
+  }
+
+  if (body.settings !== undefined) {
+    if (!body.settings || typeof body.settings !== "object" || Array.isArray(body.settings)) {
+      throw new ValidationError("settings must be an object of Zoom meeting settings");
+    }
+    zoom.settings = body.settings;
+    mirror.settings = body.settings;
+  }
+
+  if (partial && Object.keys(zoom).length === 0) {
+    throw new ValidationError("Nothing to update");
+  }
+  return { zoom, mirror };
+}
+
+/** Opaque cursor for list pagination. */
+const encodePageToken = (offset) => Buffer.from(JSON.stringify({ offset })).toString("base64url");
+
+/** @returns {number} offset, 0 without a token */
+function decodePageToken(pageToken) {
+  if (!pageToken) return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(pageToken), "base64url").toString("utf8"));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (_error) {
+    // fall through
+  }
+  throw new ValidationError("pageToken is invalid");
+}
+
+/**
+ * Whether a listed meeting can still be started or joined: it is live, has
+ * no fixed time, or has not yet run past its scheduled end.
+ */
+function isUpcoming(meeting, live, now) {
+  if (live || !meeting.start_time) return true;
+  const end = Date.parse(meeting.start_time) + (meeting.duration || 0) * 60 * 1000;
+  return Number.isNaN(end) || end > now;
+}
+
+/**
+ * Zoom's `settings.alternative_hosts` is a comma- or semicolon-separated
+ * list of emails.
+ * @returns {string[]} lower-cased emails
+ */
+function parseAlternativeHosts(value) {
+  return String(value || "")
+    .split(/[;,]/)
+    .map((email) => email.trim().toLowerCase())
+    .filter((email) => email.length > 0);
+}
+
+/**
+ * API view of a zoomMeetings document.
+ * @param {string} meetingId
+ * @param {object} data
+ */
+function toMeeting(meetingId, data) {
+  return {
+    meetingId,
+    topic: data.topic || null,
+    startTime: data.startTime || null,
+    duration: data.duration ?? null,
+    timezone: data.timezone || null,
+    agenda: data.agenda || null,
+    settings: data.settings || {},
+    joinUrl: data.joinUrl || null,
+    hostZoomUserId: data.hostZoomUserId || null,
+    ownerFirebaseUid: data.ownerFirebaseUid || null,
+    status: stateOf(data),
+  };
+}
+
+class MeetingService {
+  /**
+   * @param {import("./zoomTokenService").ZoomTokenService} zoomService
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {import("./meetingLifecycle").MeetingLifecycle} lifecycle
+   */
+  constructor(zoomService, firestore, lifecycle) {
+    this.zoomService = zoomService;
+    this.firestore = firestore;
+    this.lifecycle = lifecycle;
+  }
+
+  /**
+   * Schedule a meeting on the user's Zoom account. Without `startTime` Zoom
+   * creates an instant meeting.
+   * @param {string} firebaseUid
+   * @param {object} body - see parseMeetingInput
+   * @param {{ zoomUserId?: string }} [options] - linked account to schedule on
+   * @returns {Promise<object>} the meeting (see toMeeting)
+   */
+  async createMeeting(firebaseUid, body, options = {}) {
+    const { zoom } = parseMeetingInput(body, { partial: false });
+    const { accessToken, zoomUserId } = await this.zoomService.getAccessForCapability(
+      firebaseUid,
+      "canManageMeetings",
+      options.zoomUserId
+    );
+
+    let created;
+    try {
+      const response = await this.zoomService.http.post(
+        "POST /users/:userId/meetings",
+        `${this.zoomService.baseURL}/users/${encodeURIComponent(zoomUserId)}/meetings`,
+        { ...zoom, type: zoom.start_time ? MEETING_TYPE_SCHEDULED : MEETING_TYPE_INSTANT },
+        { headers: { Authorization: `Bearer ${accessToken}` } },
+        { idempotent: false } // a retried create could schedule the meeting twice
+      );
+      created = response.data;
+    } catch (error) {
+      throw this._rejected(error) || toZoomError(error, { action: "Zoom meeting creation" });
+    }
+
+    const meetingId = String(created.id);
+    // start_url embeds a ZAK, so it is deliberately not stored
+    const record = {
+      topic: created.topic,
+      startTime: created.start_time ? new Date(created.start_time).toISOString() : null,
+      duration: created.duration ?? null,
+      timezone: created.timezone || null,
+      agenda: created.agenda || null,
+      settings: created.settings || zoom.settings || {},
+      joinUrl: created.join_url || null,
+      ownerFirebaseUid: firebaseUid,
+      hostFirebaseUid: firebaseUid,
+      hostZoomUserId: zoomUserId,
+      status: "scheduled",
+      statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: [
+        {
+          from: null,
+          to: "scheduled",
+          source: "api",
+          actorUid: firebaseUid,
+          at: new Date().toISOString(),
+        },
+      ],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await this._meetingRef(meetingId).set(record, { merge: true });
+
+    console.log("[meetings] Zoom meeting created", { firebaseUid, zoomUserId, meetingId });
+    return toMeeting(meetingId, record);
+  }
+
+  /**
+   * Change a meeting this user created. Only the fields given are changed.
+   * @param {string} firebaseUid
+   * @param {string} meetingId
+   * @param {object} body - see parseMeetingInput
+   * @returns {Promise<object>} the updated meeting
+   */
+  async updateMeeting(firebaseUid, meetingId, body) {
+    const { zoom, mirror } = parseMeetingInput(body, { partial: true });
+    const meeting = await this._loadOwnedMeeting(firebaseUid, meetingId);
+    if (meeting.status === "cancelled") {
+      throw new ApiError("meeting_cancelled", `Meeting ${meetingId} has been cancelled`, {
+        status: 409,
+      });
+    }
+
+    const { accessToken } = await this.zoomService.getAccessForCapability(
+      firebaseUid,
+      "canManageMeetings",
+      meeting.hostZoomUserId
+    );
+    try {
+      await this.zoomService.http.patch(
+        "PATCH /meetings/:meetingId",
+        `${this.zoomService.baseURL}/meetings/${encodeURIComponent(meetingId)}`,
+        zoom,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+    } catch (error) {
+      throw (
+        this._rejected(error) || toZoomError(error, { action: "Zoom meeting update", meetingId })
+      );
+    }
+
+    const changes = { ...mirror, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    await this._meetingRef(meetingId).set(changes, { merge: true });
+
+    console.log("[meetings] Zoom meeting updated", {
+      firebaseUid,
+      meetingId,
+      fields: Object.keys(mirror),
+    });
+    return toMeeting(meetingId, { ...meeting, ...mirror });
+  }
+
+  /**
+   * Cancel (delete) a meeting this user created, while it is scheduled. A
+   * meeting Zoom no longer knows is still marked cancelled here.
+   * @param {string} firebaseUid
+   * @param {string} meetingId
+   * @returns {Promise<{meetingId: string, status: "cancelled"}>}
+   */
+  async cancelMeeting(firebaseUid, meetingId) {
+    const meeting = await this._loadOwnedMeeting(firebaseUid, meetingId);
+    if (meeting.status !== "cancelled") {
+      this.lifecycle.assertTransition(meetingId, meeting, "cancelled");
+      const { accessToken } = await this.zoomService.getAccessForCapability(
+        firebaseUid,
+        "canManageMeetings",
+        meeting.hostZoomUserId
+      );
+      try {
+        await this.zoomService.http.delete(
+          "DELETE /meetings/:meetingId",
+          `${this.zoomService.baseURL}/meetings/${encodeURIComponent(meetingId)}`,
+          { headers: { Authorization: `Bearer ${accessToken}` } }
+        );
+      } catch (error) {
+        const zoomError = toZoomError(error, { action: "Zoom meeting cancellation", meetingId });
+        if (zoomError.code !== "meeting_not_found") throw zoomError;
+        console.warn("[meetings] Meeting already gone at Zoom", { meetingId });
+      }
+
+      await this.lifecycle.transition(meetingId, "cancelled", {
+        source: "api",
+        actorUid: firebaseUid,
+      });
+      console.log("[meetings] Zoom meeting cancelled", { firebaseUid, meetingId });
+    }
+
+    return { meetingId, status: "cancelled" };
+  }
+
+  /**
+   * The user's upcoming and live meetings on one of their Zoom accounts,
+   * soonest first, merged with what zoomMeetings knows about each of them.
+   * @param {string} firebaseUid
+   * @param {{ zoomUserId?: string, pageSize?: number|string, pageToken?: string }} [options]
+   * @returns {Promise<{meetings: object[], totalRecords: number, nextPageToken: string|null}>}
+   */
+  async listUpcomingMeetings(firebaseUid, options = {}) {
+    const pageSize = options.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(options.pageSize);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new ValidationError(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    const offset = decodePageToken(options.pageToken);
+
+    const { accessToken, zoomUserId } = await this.zoomService.getAccessForCapability(
+      firebaseUid,
+      "canListMeetings",
+      options.zoomUserId
+    );
+    const [scheduled, live] = await Promise.all([
+      this._listZoomMeetings(zoomUserId, accessToken, "scheduled"),
+      this._listZoomMeetings(zoomUserId, accessToken, "live"),
+    ]);
+
+    // "scheduled" already includes live meetings; "live" tells us which they are
+    const liveIds = new Set(live.map((m) => String(m.id)));
+    const byId = new Map();
+    for (const meeting of [...live, ...scheduled]) {
+      if (!byId.has(String(meeting.id))) byId.set(String(meeting.id), meeting);
+    }
+    const now = Date.now();
+    const upcoming = [...byId.values()]
+      .filter((m) => isUpcoming(m, liveIds.has(String(m.id)), now))
+      .sort((a, b) => {
+        // Live first, then by start time; meetings without one last
+        const rank = (m) =>
+          liveIds.has(String(m.id)) ? -Infinity : Date.parse(m.start_time) || Infinity;
+        return rank(a) - rank(b);
+      });
+
+    const page = upcoming.slice(offset, offset + pageSize);
+    const snapshots = await Promise.all(page.map((m) => this._meetingRef(m.id).get()));
+    const meetings = page
+      .map((m, i) => {
+        const stored = snapshots[i].exists ? snapshots[i].data() : {};
+        return {
+          meetingId: String(m.id),
+          topic: m.topic || stored.topic || null,
+          type: MEETING_TYPES[m.type] || "scheduled",
+          startTime: m.start_time ? new Date(m.start_time).toISOString() : null,
+          duration: m.duration ?? null,
+          timezone: m.timezone || null,
+          agenda: m.agenda || stored.agenda || null,
+          joinUrl: m.join_url || stored.joinUrl || null,
+          hostZoomUserId: zoomUserId,
+          status: liveIds.has(String(m.id)) ? "live" : stateOf(stored),
+          ownerFirebaseUid: stored.ownerFirebaseUid || null,
+          isOwner: stored.ownerFirebaseUid === firebaseUid,
+        };
+      })
+      // Over here (e.g. cancelled) but not yet gone from Zoom's list
+      .filter((m) => !isClosed(m.status));
+
+    const nextOffset = offset + pageSize;
+    return {
+      meetings,
+      totalRecords: upcoming.length,
+      nextPageToken: nextOffset < upcoming.length ? encodePageToken(nextOffset) : null,
+    };
+  }
+
+  /**
+   * Confirm a user may host a meeting before a ZAK is issued for it: their
+   * Zoom user must be the meeting's host or one of its alternative hosts.
+   * A successful check caches Zoom's host, alternative hosts, topic and
+   * schedule in zoomMeetings/{meetingId} for HOST_VERIFICATION_TTL_MS.
+   * @param {string} firebaseUid
+   * @param {string} meetingId
+   * @param {{ zoomUserId?: string }} [options] - linked account to host from
+   * @returns {Promise<{meetingId: string, zoomUserId: string, hostZoomUserId: string,
+   *   alternativeHost: boolean}>} zoomUserId is the caller's account to issue the ZAK for
+   * @throws {ZoomMeetingNotFoundError} Zoom does not know the meeting
+   * @throws {ForbiddenError} not_meeting_host
+   */
+  async verifyHost(firebaseUid, meetingId, options = {}) {
+    if (!/^\d+$/.test(meetingId)) {
+      throw new ZoomMeetingNotFoundError(meetingId);
+    }
+    const { accessToken, zoomUserId } = await this.zoomService.getAccessForCapability(
+      firebaseUid,
+      "canReadMeetings",
+      options.zoomUserId
+    );
+    const ref = this._meetingRef(meetingId);
+
+    // A recent verification answers without asking Zoom; a mismatch is
+    // re-checked in case the host changed since
+    const snapshot = await ref.get();
+    const stored = snapshot.exists ? snapshot.data() : {};
+    const verifiedAt = stored.hostVerifiedAt?.toMillis?.() || 0;
+    if (Date.now() - verifiedAt < HOST_VERIFICATION_TTL_MS) {
+      const role = await this._hostRole(firebaseUid, zoomUserId, stored);
+      if (role) return { meetingId, zoomUserId, hostZoomUserId: stored.hostZoomUserId, ...role };
+    }
+
+    let meeting;
+    try {
+      const response = await this.zoomService.http.get(
+        "GET /meetings/:meetingId",
+        `${this.zoomService.baseURL}/meetings/${encodeURIComponent(meetingId)}`,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+      meeting = response.data;
+    } catch (error) {
+      // 300: Zoom rejects the ID as malformed
+      if (error.response?.status === 400 && error.response.data?.code === 300) {
+        throw new ZoomMeetingNotFoundError(meetingId, { cause: error });
+      }
+      throw toZoomError(error, { action: "Zoom meeting lookup", meetingId });
+    }
+
+    const verified = {
+      hostZoomUserId: meeting.host_id,
+      alternativeHosts: parseAlternativeHosts(meeting.settings?.alternative_hosts),
+    };
+    const role = await this._hostRole(firebaseUid, zoomUserId, verified);
+    if (!role) {
+      console.warn("[meetings] Host verification refused", { firebaseUid, zoomUserId, meetingId });
+      throw new ForbiddenError(
+        `Your Zoom account is not a host of meeting ${meetingId}`,
+        "not_meeting_host"
+      );
+    }
+
+    await ref.set(
+      {
+        ...verified,
+        topic: meeting.topic || null,
+        startTime: meeting.start_time ? new Date(meeting.start_time).toISOString() : null,
+        duration: meeting.duration ?? null,
+        timezone: meeting.timezone || null,
+        hostVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return { meetingId, zoomUserId, hostZoomUserId: verified.hostZoomUserId, ...role };
+  }
+
+  /**
+   * Whether a Zoom user is the host or an alternative host, or null if neither.
+   * The email is only looked up when there are alternative hosts to match.
+   * @private
+   */
+  async _hostRole(firebaseUid, zoomUserId, { hostZoomUserId, alternativeHosts = [] }) {
+    if (hostZoomUserId && hostZoomUserId === zoomUserId) return { alternativeHost: false };
+    if (alternativeHosts.length === 0) return null;
+
+    const email = await this.zoomService.getZoomUserEmail(firebaseUid, zoomUserId);
+    return email && alternativeHosts.includes(email.toLowerCase())
+      ? { alternativeHost: true }
+      : null;
+  }
+
+  /**
+   * Every meeting of one Zoom list type, following Zoom's pagination.
+   * @private
+   */
+  async _listZoomMeetings(zoomUserId, accessToken, type) {
+    const meetings = [];
+    let nextPageToken = "";
+    for (let page = 0; page < MAX_ZOOM_LIST_PAGES; page++) {
+      let data;
+      try {
+        const response = await this.zoomService.http.get(
+          "GET /users/:userId/meetings",
+          `${this.zoomService.baseURL}/users/${encodeURIComponent(zoomUserId)}/meetings`,
+          {
+            params: {
+              type,
+              page_size: ZOOM_LIST_PAGE_SIZE,
+              ...(nextPageToken ? { next_page_token: nextPageToken } : {}),
+            },
+            headers: { Authorization: `Bearer ${accessToken}` },
+          }
+        );
+        data = response.data || {};
+      } catch (error) {
+        throw toZoomError(error, { action: "Zoom meeting list" });
+      }
+
+      meetings.push(...(data.meetings || []));
+      nextPageToken = data.next_page_token;
+      if (!nextPageToken) break;
+    }
+    return meetings;
+  }
+
+  /** @private */
+  _meetingRef(meetingId) {
+    return this.firestore.collection("zoomMeetings").doc(String(meetingId));
+  }
+
+  /**
+   * zoomMeetings data for a meeting created through this API by this user.
+   * @private
+   */
+  async _loadOwnedMeeting(firebaseUid, meetingId) {
+    const snapshot = await this._meetingRef(meetingId).get();
+    const meeting = snapshot.exists ? snapshot.data() : null;
+    if (!meeting?.ownerFirebaseUid) {
+      throw new ApiError(
+        "meeting_not_found",
+        `Meeting ${meetingId} was not created through this API`,
+        { status: 404, details: { meetingId } }
+      );
+    }
+    if (meeting.ownerFirebaseUid !== firebaseUid) {
+      throw new ForbiddenError("Only the meeting owner can change it", "not_meeting_owner");
+    }
+    return meeting;
+  }
+
+  /**
+   * Zoom answers 400 when it rejects the meeting fields themselves
+   * (e.g. an unknown timezone); that is the caller's error, not Zoom's.
+   * @private
+   */
+  _rejected(error) {
+    if (error?.response?.status !== 400) return null;
+    const message = error.response.data?.message || "invalid meeting fields";
+    return new ValidationError(`Zoom rejected the meeting: ${message}`);
+  }
+}
+
+module.exports = { MeetingService, toMeeting };
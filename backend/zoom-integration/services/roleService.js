@@ -0,0 +1,285 @@
+/**
+ * Role Service
+ * Roles live in the `roles` custom claim of a user's Firebase ID token:
+ *   admin       -- every route, plus granting and revoking roles
+ *   host        -- schedule meetings, start them (ZAK), hand out tokens
+ *   participant -- join meetings (OBF), request SDK signatures
+ * Users without the claim get the default roles (ZOOM_DEFAULT_ROLES).
+ *
+ * The `groups` custom claim lists named groups a user belongs to; meetings
+ * can invite a whole group (see InvitationService).
+ *
+ * A client only sees new claims in its next ID token, so every change also
+ * stamps zoomUserRoles/{uid}.rolesUpdatedAt; tokens minted before that are
+ * refused with `token_refresh_required` until the client refreshes them.
+ * The stamp is cached per user for a few seconds (claimsCacheMs), so another
+ * instance's change can take that long to be enforced here.
+ */
+
+const admin = require("firebase-admin");
+const { ApiError, ValidationError } = require("./errors");
+
+const ROLES = ["admin", "host", "participant"];
+// Everyone could host and join before roles existed
+const DEFAULT_ROLES = ["host", "participant"];
+
+const GROUP_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+// Custom claims are limited to 1000 bytes in total
+const MAX_GROUPS = 20;
+
+const CLAIMS_CACHE_MS = 30 * 1000;
+const MAX_CACHED_USERS = 10000;
+
+/**
+ * @param {string|string[]|undefined} value - list or comma-separated string
+ * @returns {string[]} known roles, unknown names dropped
+ */
+function parseRoles(value) {
+  const names = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(names.map((name) => String(name).trim().toLowerCase()))].filter((name) =>
+    ROLES.includes(name)
+  );
+}
+
+/**
+ * @param {{ groups?: string[] }|undefined} claims - custom claims
+ * @returns {string[]}
+ */
+function groupsOf(claims) {
+  return Array.isArray(claims?.groups) ? claims.groups.map(String) : [];
+}
+
+class RoleService {
+  /**
+   * @param {import("firebase-admin").auth.Auth} auth
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {{ defaultRoles?: string|string[], claimsCacheMs?: number }} [options]
+   *   - defaultRoles: roles of users without a `roles` claim; unset uses DEFAULT_ROLES
+   *   - claimsCacheMs: how long a user's rolesUpdatedAt is reused (default 30 s, 0 disables)
+   */
+  constructor(auth, firestore, options = {}) {
+    this.auth = auth;
+    this.firestore = firestore;
+    this.defaultRoles =
+      options.defaultRoles === undefined ? DEFAULT_ROLES : parseRoles(options.defaultRoles);
+    const cacheMs = Number(options.claimsCacheMs);
+    this.claimsCacheMs = Number.isFinite(cacheMs) && cacheMs >= 0 ? cacheMs : CLAIMS_CACHE_MS;
+    this.claimsStamps = new Map(); // uid -> { rolesUpdatedAt, expiresAt }
+  }
+
+  /**
+   * Effective roles of an authenticated user.
+   * @param {{ roles?: string[] }} user - decoded Firebase ID token
+   * @returns {string[]}
+   */
+  rolesOf(user) {
+    return Array.isArray(user?.roles) ? parseRoles(user.roles) : this.defaultRoles;
+  }
+
+  /**
+   * @param {{ roles?: string[] }} user - decoded Firebase ID token
+   * @param {string[]} roles
+   * @returns {boolean} whether the user holds one of `roles` or is an admin
+   */
+  hasAnyRole(user, roles) {
+    const held = this.rolesOf(user);
+    return held.includes("admin") || roles.some((role) => held.includes(role));
+  }
+
+  /**
+   * Refuse ID tokens minted before the user's roles last changed.
+   * @param {{ uid: string, iat: number }} user - decoded Firebase ID token
+   * @throws {ApiError} token_refresh_required (401, retryable)
+   */
+  async assertFreshClaims(user) {
+    const rolesUpdatedAt = await this._rolesUpdatedAt(user.uid);
+    if (user.iat < rolesUpdatedAt) {
+      throw new ApiError(
+        "token_refresh_required",
+        "Your roles have changed. Refresh the Firebase ID token and retry.",
+        { status: 401, retryable: true }
+      );
+    }
+  }
+
+  /**
+   * @param {string} uid - Firebase UID
+   * @returns {Promise<{uid: string, roles: string[], explicit: boolean}>}
+   *   explicit is false while the user still has the default roles
+   */
+  async getRoles(uid) {
+    const user = await this._getUser(uid);
+    const claimed = user.customClaims?.roles;
+    return {
+      uid,
+      roles: Array.isArray(claimed) ? parseRoles(claimed) : this.defaultRoles,
+      explicit: Array.isArray(claimed),
+    };
+  }
+
+  /**
+   * @param {string} uid
+   * @param {string} role
+   * @param {string} changedBy - Firebase UID of the admin
+   * @returns {Promise<{uid: string, roles: string[], explicit: boolean}>}
+   */
+  async grantRole(uid, role, changedBy) {
+    const { roles } = await this.getRoles(uid);
+    return this._setRoles(uid, [...roles, this._knownRole(role)], changedBy);
+  }
+
+  /**
+   * @param {string} uid
+   * @param {string} role
+   * @param {string} changedBy - Firebase UID of the admin
+   * @returns {Promise<{uid: string, roles: string[], explicit: boolean}>}
+   */
+  async revokeRole(uid, role, changedBy) {
+    const { roles } = await this.getRoles(uid);
+    const revoked = this._knownRole(role);
+    return this._setRoles(
+      uid,
+      roles.filter((held) => held !== revoked),
+      changedBy
+    );
+  }
+
+  /**
+   * @param {string} uid - Firebase UID
+   * @returns {Promise<{uid: string, groups: string[]}>}
+   */
+  async getGroups(uid) {
+    const user = await this._getUser(uid);
+    return { uid, groups: groupsOf(user.customClaims) };
+  }
+
+  /**
+   * @param {string} uid
+   * @param {string} group
+   * @param {string} changedBy - Firebase UID of the admin
+   * @returns {Promise<{uid: string, groups: string[]}>}
+   */
+  async addGroup(uid, group, changedBy) {
+    const { groups } = await this.getGroups(uid);
+    const name = this._validGroup(group);
+    if (!groups.includes(name) && groups.length >= MAX_GROUPS) {
+      throw new ValidationError(`A user can be in at most ${MAX_GROUPS} groups`);
+    }
+    return this._setGroups(uid, [...new Set([...groups, name])], changedBy);
+  }
+
+  /**
+   * @param {string} uid
+   * @param {string} group
+   * @param {string} changedBy - Firebase UID of the admin
+   * @returns {Promise<{uid: string, groups: string[]}>}
+   */
+  async removeGroup(uid, group, changedBy) {
+    const { groups } = await this.getGroups(uid);
+    const name = this._validGroup(group);
+    return this._setGroups(
+      uid,
+      groups.filter((held) => held !== name),
+      changedBy
+    );
+  }
+
+  /** @private */
+  async _setRoles(uid, roles, changedBy) {
+    const nextRoles = parseRoles(roles);
+    await this._updateClaims(uid, { roles: nextRoles }, changedBy);
+    console.log("[roles] Roles updated", { uid, roles: nextRoles, changedBy });
+    return { uid, roles: nextRoles, explicit: true };
+  }
+
+  /** @private */
+  async _setGroups(uid, groups, changedBy) {
+    const nextGroups = [...groups].sort();
+    await this._updateClaims(uid, { groups: nextGroups }, changedBy);
+    console.log("[roles] Groups updated", { uid, groups: nextGroups, changedBy });
+    return { uid, groups: nextGroups };
+  }
+
+  /**
+   * Write claims, keeping the user's other custom claims, and stamp the
+   * change so older ID tokens stop being accepted.
+   * @private
+   */
+  async _updateClaims(uid, claims, changedBy) {
+    const user = await this._getUser(uid);
+    await this.auth.setCustomUserClaims(uid, { ...(user.customClaims || {}), ...claims });
+    await this._rolesRef(uid).set(
+      {
+        ...claims,
+        // Seconds, to compare with the ID token's `iat`
+        rolesUpdatedAt: Math.floor(Date.now() / 1000),
+        updatedBy: changedBy || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    this.claimsStamps.delete(uid);
+  }
+
+  /**
+   * When the user's claims last changed (seconds), cached briefly: every
+   * role-gated request and WebSocket message asks.
+   * @private
+   */
+  async _rolesUpdatedAt(uid) {
+    const cached = this.claimsStamps.get(uid);
+    if (cached && cached.expiresAt > Date.now()) return cached.rolesUpdatedAt;
+
+    const snapshot = await this._rolesRef(uid).get();
+    const rolesUpdatedAt = snapshot.exists ? snapshot.data().rolesUpdatedAt || 0 : 0;
+    if (this.claimsCacheMs > 0) {
+      this.claimsStamps.delete(uid);
+      if (this.claimsStamps.size >= MAX_CACHED_USERS) {
+        // Maps iterate in insertion order: drop the oldest entry
+        this.claimsStamps.delete(this.claimsStamps.keys().next().value);
+      }
+      this.claimsStamps.set(uid, { rolesUpdatedAt, expiresAt: Date.now() + this.claimsCacheMs });
+    }
+    return rolesUpdatedAt;
+  }
+
+  /** @private */
+  async _getUser(uid) {
+    try {
+      return await this.auth.getUser(uid);
+    } catch (error) {
+      if (error?.code === "auth/user-not-found") {
+        throw new ApiError("user_not_found", `Firebase user ${uid} was not found`, {
+          status: 404,
+          details: { uid },
+        });
+      }
+      throw error;
+    }
+  }
+
+  /** @private */
+  _knownRole(role) {
+    const name = String(role || "").trim().toLowerCase();
+    if (!ROLES.includes(name)) {
+      throw new ValidationError(`Unknown role "${role}" (use ${ROLES.join(", ")})`);
+    }
+    return name;
+  }
+
+  /** @private */
+  _validGroup(group) {
+    const name = String(group || "").trim();
+    if (!GROUP_PATTERN.test(name)) {
+      throw new ValidationError(`Invalid group "${group}" (1-64 letters, digits, "_", "." or "-")`);
+    }
+    return name;
+  }
+
+  /** @private */
+  _rolesRef(uid) {
+    return this.firestore.collection("zoomUserRoles").doc(uid);
+  }
+}
+
+module.exports = { RoleService, ROLES, GROUP_PATTERN, parseRoles };
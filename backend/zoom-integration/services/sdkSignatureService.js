@@ -0,0 +1,102 @@
+/**
+ * SDK Signature Service
+ * Mints the HS256 JWTs the Zoom client SDKs authenticate with, so the SDK
+ * secret stays on the server:
+ *   meeting -- Meeting SDK signature for joining or starting a Zoom meeting
+ *   video   -- Video SDK session token for a Video SDK session
+ *
+ * The key and secret are the Meeting SDK / Video SDK app credentials
+ * (ZOOM_SDK_KEY, ZOOM_SDK_SECRET), not the OAuth app's client ID/secret.
+ */
+
+const crypto = require("crypto");
+
+const SDK_TYPES = ["meeting", "video"];
+const SDK_ROLES = ["host", "participant"];
+
+// Zoom accepts 30 minutes to 48 hours; two hours covers a typical session
+const SIGNATURE_TTL_SECONDS = 2 * 60 * 60;
+// Backdate iat so clients with a slightly fast clock don't see "not yet valid"
+const CLOCK_SKEW_SECONDS = 30;
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+class SdkSignatureService {
+  /**
+   * @param {{ sdkKey?: string, sdkSecret?: string }} config
+   */
+  constructor(config = {}) {
+    this.sdkKey = config.sdkKey || "";
+    this.sdkSecret = config.sdkSecret || "";
+  }
+
+  /** @returns {boolean} whether SDK credentials are configured */
+  isConfigured() {
+    return Boolean(this.sdkKey && this.sdkSecret);
+  }
+
+  /**
+   * Sign a signature for one meeting (Meeting SDK) or session (Video SDK).
+   * @param {{ sdk: "meeting"|"video", meetingId: string, role: "host"|"participant",
+   *   userIdentity?: string }} params
+   *   - meetingId: Zoom meeting number (meeting) or session name (video)
+   *   - userIdentity: Video SDK only; shown to other session members
+   * @returns {{ signature: string, sdkKey: string, expiresAt: string, expiresIn: number }}
+   */
+  createSignature({ sdk, meetingId, role, userIdentity }) {
+    if (!this.isConfigured()) {
+      throw new Error("Zoom SDK credentials (sdkKey, sdkSecret) are not configured");
+    }
+    if (!SDK_TYPES.includes(sdk)) {
+      throw new Error(`Unknown SDK "${sdk}" (use meeting or video)`);
+    }
+    if (!SDK_ROLES.includes(role)) {
+      throw new Error(`Unknown SDK role "${role}" (use host or participant)`);
+    }
+
+    const iat = Math.floor(Date.now() / 1000) - CLOCK_SKEW_SECONDS;
+    const exp = iat + SIGNATURE_TTL_SECONDS;
+    const roleType = role === "host" ? 1 : 0;
+
+    const payload =
+      sdk === "meeting"
+        ? {
+            appKey: this.sdkKey,
+            sdkKey: this.sdkKey,
+            mn: meetingId,
+            role: roleType,
+            iat,
+            exp,
+            tokenExp: exp,
+          }
+        : {
+            app_key: this.sdkKey,
+            tpc: meetingId,
+            role_type: roleType,
+            version: 1,
+            ...(userIdentity ? { user_identity: userIdentity } : {}),
+            iat,
+            exp,
+          };
+
+    return {
+      signature: this._sign(payload),
+      sdkKey: this.sdkKey,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+    };
+  }
+
+  /** @private */
+  _sign(payload) {
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const body = base64url(JSON.stringify(payload));
+    const signature = crypto
+      .createHmac("sha256", this.sdkSecret)
+      .update(`${header}.${body}`)
+      .digest("base64url");
+    return `${header}.${body}.${signature}`;
+  }
+}
+
+module.exports = { SdkSignatureService, SDK_TYPES, SDK_ROLES };
@@ -0,0 +1,189 @@
+/**
+ * Token Stores
+ * Pluggable persistence for ZoomTokenService records (Zoom tokens, pending
+ * OAuth states, job summaries, account-mode user mappings).
+ *
+ * Every store implements the same interface over plain JSON records keyed by
+ * a string ID:
+ *
+ *   get(key)              -> record | null
+ *   set(key, record)      -> replaces the record
+ *   delete(key)
+ *   list(filter?)         -> [{ key, record }], filter = { field: value, ... }
+ *   update(key, mutator)  -> atomic read-modify-write; mutator(current) returns
+ *                            the next record, `undefined` to leave it as-is or
+ *                            `null` to delete it. Resolves to the stored record.
+ *
+ * Backends:
+ *   firestore -- one collection per store (production)
+ *   memory    -- process-local Maps (tests, throwaway local runs)
+ *   file      -- one JSON file per store in a directory (local dev)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class FirestoreTokenStore {
+  /**
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {string} collection
+   */
+  constructor(firestore, collection) {
+    this.firestore = firestore;
+    this.collection = firestore.collection(collection);
+  }
+
+  async get(key) {
+    const doc = await this.collection.doc(key).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async set(key, record) {
+    await this.collection.doc(key).set(record);
+  }
+
+  async delete(key) {
+    await this.collection.doc(key).delete();
+  }
+
+  async list(filter = {}) {
+    const query = Object.entries(filter).reduce(
+      (q, [field, value]) => q.where(field, "==", value),
+      this.collection
+    );
+    const snapshot = await query.get();
+    return snapshot.docs.map((doc) => ({ key: doc.id, record: doc.data() }));
+  }
+
+  async update(key, mutator) {
+    const docRef = this.collection.doc(key);
+    return this.firestore.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      const current = doc.exists ? doc.data() : null;
+      const next = mutator(current);
+
+      if (next === undefined) return current;
+      if (next === null) {
+        tx.delete(docRef);
+        return null;
+      }
+      tx.set(docRef, next);
+      return next;
+    });
+  }
+}
+
+class MemoryTokenStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.has(key) ? structuredClone(this.records.get(key)) : null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, structuredClone(record));
+    await this._persist();
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+    await this._persist();
+  }
+
+  async list(filter = {}) {
+    const entries = Object.entries(filter);
+    return [...this.records.entries()]
+      .filter(([, record]) => entries.every(([field, value]) => record[field] === value))
+      .map(([key, record]) => ({ key, record: structuredClone(record) }));
+  }
+
+  async update(key, mutator) {
+    // The mutator runs synchronously, so nothing can interleave with it
+    const current = this.records.has(key) ? structuredClone(this.records.get(key)) : null;
+    const next = mutator(current);
+
+    if (next === undefined) return current;
+    if (next === null) {
+      this.records.delete(key);
+    } else {
+      this.records.set(key, structuredClone(next));
+    }
+    await this._persist();
+    return next;
+  }
+
+  /** Hook for subclasses that write through to disk. */
+  async _persist() {}
+}
+
+class FileTokenStore extends MemoryTokenStore {
+  /**
+   * @param {string} filePath - JSON file holding { key: record } for this store
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+
+    if (fs.existsSync(filePath)) {
+      this.records = new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, "utf8"))));
+    }
+  }
+
+  /** Write the whole store atomically (temp file + rename), one write at a time. */
+  async _persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.records), null, 2);
+
+    this.writing = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    return this.writing;
+  }
+}
+
+/**
+ * Build the stores ZoomTokenService needs for the configured backend.
+ * @param {{ backend?: "firestore"|"memory"|"file", firestore?: object, directory?: string }} options
+ * @returns {{ tokens: object, oauthStates: object, jobs: object, userMappings: object }}
+ */
+function createTokenStores(options = {}) {
+  const backend = options.backend || "firestore";
+  const collections = {
+    tokens: "zoomTokens",
+    oauthStates: "zoomOAuthStates",
+    jobs: "zoomJobs",
+    userMappings: "zoomUserMappings",
+  };
+
+  const build = {
+    firestore: (collection) => {
+      if (!options.firestore) {
+        throw new Error("The firestore token store requires a Firestore instance");
+      }
+      return new FirestoreTokenStore(options.firestore, collection);
+    },
+    memory: () => new MemoryTokenStore(),
+    file: (collection) =>
+      new FileTokenStore(path.resolve(options.directory || "./data", `${collection}.json`)),
+  }[backend];
+
+  if (!build) {
+    throw new Error(`Unknown token store backend "${backend}" (use firestore, memory or file)`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(collections).map(([name, collection]) => [name, build(collection)])
+  );
+}
+
+module.exports = {
+  FirestoreTokenStore,
+  MemoryTokenStore,
+  FileTokenStore,
+  createTokenStores,
+};
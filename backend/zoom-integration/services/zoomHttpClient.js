@@ -0,0 +1,269 @@
+/**
+ * Zoom HTTP Client
+ * Every call to Zoom goes through here: request timeouts, a cap on
+ * concurrent requests, jittered exponential backoff on retryable failures
+ * and rate-limit handling, with per-endpoint counters for
+ * /api/admin/zoom-api-stats.
+ *
+ * Zoom reports what is left of a limit in X-RateLimit-Remaining (and which
+ * limit in X-RateLimit-Type). When it reaches 0 the endpoint is paused until
+ * the limit resets, so the next request waits instead of drawing a 429.
+ *
+ * Failures are rethrown as the original axios error once retries are used
+ * up; callers translate them with toZoomError (./errors.js).
+ */
+
+const axios = require("axios");
+const { ZoomRateLimitError } = require("./errors");
+
+const DEFAULTS = {
+  timeoutMs: 10 * 1000, // per attempt
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 5 * 1000,
+  maxRetryAfterMs: 10 * 1000, // longer Retry-After (e.g. daily quota): fail fast instead
+  maxConcurrency: 8,
+  rateLimitPauseMs: 1000, // exhausted per-second limit without a Retry-After
+};
+
+// The connection was never made, so Zoom cannot have processed the request
+const CONNECT_ERRORS = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+const TIMEOUT_ERRORS = new Set(["ECONNABORTED", "ETIMEDOUT"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Epoch ms of the next midnight UTC, when Zoom's daily limits reset.
+ * @returns {number}
+ */
+function nextUtcMidnight() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date.
+ * @param {string|undefined} value
+ * @returns {number|null} delay in ms
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class ZoomHttpClient {
+  /**
+   * @param {{ timeoutMs?: number, maxRetries?: number, baseDelayMs?: number,
+   *   maxDelayMs?: number, maxRetryAfterMs?: number, maxConcurrency?: number,
+   *   rateLimitPauseMs?: number }} [options]
+   *   - unset or invalid values fall back to DEFAULTS
+   */
+  constructor(options = {}) {
+    for (const [name, fallback] of Object.entries(DEFAULTS)) {
+      const value = Number(options[name]);
+      this[name] = Number.isFinite(value) && value >= 0 ? value : fallback;
+    }
+    this.maxConcurrency = Math.max(1, this.maxConcurrency);
+
+    this.active = 0;
+    this.waiting = []; // resolvers queued for a request slot
+    this.endpoints = new Map(); // endpoint label -> counters
+  }
+
+  /**
+   * Send a request to Zoom, retrying retryable failures.
+   *
+   * Token grants (authorization code, refresh token) are single-use, so they
+   * pass `idempotent: false` and are only retried when Zoom cannot have
+   * processed them: a 429 or a connection that was never established.
+   *
+   * @param {string} endpoint - stable label for counters, e.g. "GET /users/:userId/token"
+   * @param {import("axios").AxiosRequestConfig} config
+   * @param {{ idempotent?: boolean }} [options]
+   * @returns {Promise<import("axios").AxiosResponse>}
+   */
+  async request(endpoint, config, options = {}) {
+    const idempotent = options.idempotent !== false;
+    const stats = this._stats(endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      // Another request to this endpoint was told to back off -- wait with it,
+      // unless that is longer than a Retry-After we would wait for
+      const paused = stats.pausedUntil - Date.now();
+      if (paused > this.maxRetryAfterMs) {
+        stats.failures++;
+        throw new ZoomRateLimitError(Math.ceil(paused / 1000));
+      }
+      if (paused > 0) {
+        await sleep(paused);
+      }
+
+      let error;
+      await this._acquire();
+      try {
+        stats.requests++;
+        const response = await axios.request({ timeout: this.timeoutMs, ...config });
+        stats.successes++;
+        stats.lastStatus = response.status;
+        this._holdOffIfExhausted(stats, response);
+        return response;
+      } catch (err) {
+        error = err;
+      } finally {
+        this._release();
+      }
+
+      const status = error.response?.status || null;
+      stats.lastStatus = status;
+      if (error.response) this._holdOffIfExhausted(stats, error.response);
+      stats.lastErrorAt = new Date().toISOString();
+      if (status === 429) stats.rateLimited++;
+      if (!error.response && TIMEOUT_ERRORS.has(error.code)) stats.timeouts++;
+
+      const delay = this._retryDelay(error, attempt, idempotent);
+      if (delay === null) {
+        stats.failures++;
+        throw error;
+      }
+      if (status === 429) {
+        stats.pausedUntil = Math.max(stats.pausedUntil, Date.now() + delay);
+      }
+
+      stats.retries++;
+      console.warn("[zoomHttp] Retrying Zoom request", {
+        endpoint,
+        attempt: attempt + 1,
+        status,
+        code: error.code || null,
+        delayMs: Math.round(delay),
+      });
+      await sleep(delay);
+    }
+  }
+
+  /** @returns {Promise<import("axios").AxiosResponse>} */
+  get(endpoint, url, config = {}, options) {
+    return this.request(endpoint, { ...config, method: "get", url }, options);
+  }
+
+  /** @returns {Promise<import("axios").AxiosResponse>} */
+  post(endpoint, url, data, config = {}, options) {
+    return this.request(endpoint, { ...config, method: "post", url, data }, options);
+  }
+
+  /** @returns {Promise<import("axios").AxiosResponse>} */
+  patch(endpoint, url, data, config = {}, options) {
+    return this.request(endpoint, { ...config, method: "patch", url, data }, options);
+  }
+
+  /** @returns {Promise<import("axios").AxiosResponse>} */
+  delete(endpoint, url, config = {}, options) {
+    return this.request(endpoint, { ...config, method: "delete", url }, options);
+  }
+
+  /**
+   * Counters per endpoint plus the current request queue, for monitoring.
+   * @returns {{ active: number, queued: number, endpoints: Object<string, object> }}
+   */
+  getStats() {
+    const endpoints = {};
+    for (const [endpoint, stats] of this.endpoints) {
+      const { pausedUntil, ...counters } = stats;
+      endpoints[endpoint] = {
+        ...counters,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+      };
+    }
+    return { active: this.active, queued: this.waiting.length, endpoints };
+  }
+
+  /**
+   * Pause the endpoint when Zoom says its rate limit is used up: until
+   * midnight UTC for a daily limit, otherwise for Retry-After or a moment.
+   * @private
+   */
+  _holdOffIfExhausted(stats, response) {
+    const headers = response.headers || {};
+    const remaining = headers["x-ratelimit-remaining"];
+    if (remaining === undefined || Number.parseInt(remaining, 10) !== 0) return;
+
+    const type = headers["x-ratelimit-type"] || null;
+    stats.rateLimitType = type;
+    const until = /daily/i.test(type || "")
+      ? nextUtcMidnight()
+      : Date.now() + (parseRetryAfter(headers["retry-after"]) ?? this.rateLimitPauseMs);
+    stats.pausedUntil = Math.max(stats.pausedUntil, until);
+  }
+
+  /**
+   * How long to wait before retrying, or null to give up.
+   * @private
+   */
+  _retryDelay(error, attempt, idempotent) {
+    if (attempt >= this.maxRetries) return null;
+
+    const response = error.response;
+    if (!response) {
+      return idempotent || CONNECT_ERRORS.has(error.code) ? this._backoff(attempt) : null;
+    }
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers?.["retry-after"]);
+      if (retryAfter === null) return this._backoff(attempt);
+      return retryAfter <= this.maxRetryAfterMs ? retryAfter : null;
+    }
+    return idempotent && response.status >= 500 ? this._backoff(attempt) : null;
+  }
+
+  /**
+   * Exponential backoff with jitter: half the capped delay, plus up to the
+   * other half at random, so retries from a bulk request spread out.
+   * @private
+   */
+  _backoff(attempt) {
+    const capped = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return capped / 2 + Math.random() * (capped / 2);
+  }
+
+  /** @private */
+  _stats(endpoint) {
+    if (!this.endpoints.has(endpoint)) {
+      this.endpoints.set(endpoint, {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        retries: 0,
+        rateLimited: 0,
+        timeouts: 0,
+        lastStatus: null,
+        rateLimitType: null,
+        lastErrorAt: null,
+        pausedUntil: 0,
+      });
+    }
+    return this.endpoints.get(endpoint);
+  }
+
+  /** @private */
+  _acquire() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /** Hand the slot straight to the next waiter, if any. @private */
+  _release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+module.exports = { ZoomHttpClient, parseRetryAfter };
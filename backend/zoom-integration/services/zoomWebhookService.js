@@ -0,0 +1,351 @@
+/**
+ * Zoom Webhook Service
+ * Verifies and handles inbound Zoom webhook events (POST /api/webhooks/zoom).
+ *
+ * Zoom signs every request with the app's secret token:
+ *   x-zm-signature: v0=HMAC_SHA256(secret, "v0:{x-zm-request-timestamp}:{raw body}")
+ * and proves endpoint ownership with an `endpoint.url_validation` challenge.
+ *
+ * meeting.started / meeting.ended / meeting.deleted drive the meeting
+ * lifecycle (see meetingLifecycle.js); meeting.participant_joined / _left keep
+ * zoomMeetings/{meetingId}.liveParticipants and the meeting's attendance
+ * (see attendanceService.js). Meeting events come back with a
+ * `broadcast` for the host's and participants' WebSocket rooms; participant
+ * events, which carry names and emails, only for the owner/host and admins.
+ *
+ * Zoom retries deliveries it doesn't see acknowledged, so each event is
+ * claimed once in zoomWebhookDeliveries/{eventId} before it is handled and
+ * marked `handledAt` after. A retry arriving while the claim is still being
+ * handled is refused, so Zoom tries again if that first attempt fails.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { ApiError } = require("./errors");
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // reject deliveries older than 5 minutes
+
+// Zoom meeting `type` values of meetings that are used again after they end:
+// recurring meetings (3, 8) and Personal Meeting ID meetings (4)
+const REUSABLE_MEETING_TYPES = [3, 4, 8];
+
+// How long a delivery is remembered; Zoom stops retrying well before this
+const DELIVERY_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+// A claim not handled within this long was abandoned (e.g. the instance died)
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+class ZoomWebhookService {
+  /**
+   * @param {string} secretToken - webhook secret token from the Zoom app
+   * @param {import("firebase-admin").firestore.Firestore} firestore
+   * @param {import("./zoomTokenService").ZoomTokenService} zoomService
+   * @param {import("./meetingLifecycle").MeetingLifecycle} lifecycle
+   * @param {import("./attendanceService").AttendanceService} attendance
+   */
+  constructor(secretToken, firestore, zoomService, lifecycle, attendance) {
+    this.secretToken = secretToken;
+    this.firestore = firestore;
+    this.zoomService = zoomService;
+    this.lifecycle = lifecycle;
+    this.attendance = attendance;
+  }
+
+  /** @returns {boolean} true if a secret token is configured */
+  isConfigured() {
+    return Boolean(this.secretToken);
+  }
+
+  /**
+   * Verify the `x-zm-signature` header against the raw request body.
+   * @param {Buffer|string} rawBody
+   * @param {string} timestamp - x-zm-request-timestamp header (seconds)
+   * @param {string} signature - x-zm-signature header
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, timestamp, signature) {
+    if (!rawBody || !timestamp || !signature) return false;
+
+    const sentAt = Number(timestamp) * 1000;
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > MAX_CLOCK_SKEW_MS) {
+      return false;
+    }
+
+    const expected = Buffer.from(`v0=${this._hmac(`v0:${timestamp}:${rawBody}`)}`);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Answer Zoom's `endpoint.url_validation` challenge.
+   * @param {string} plainToken
+   * @returns {{plainToken: string, encryptedToken: string}}
+   */
+  urlValidationResponse(plainToken) {
+    return { plainToken, encryptedToken: this._hmac(plainToken) };
+  }
+
+  /**
+   * Identify a delivery. Zoom resends the same body when it retries, so the
+   * event name, its timestamp and a hash of the payload pin it down.
+   * @param {{ event: string, event_ts?: number, payload?: object }} body
+   * @returns {string}
+   */
+  eventIdOf(body) {
+    const { event, event_ts: eventTs, payload = {} } = body || {};
+    const digest = crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+    return `${event}:${eventTs || 0}:${digest.slice(0, 32)}`;
+  }
+
+  /**
+   * Handle a verified webhook event once: a delivery already handled is
+   * acknowledged without doing anything.
+   * @param {{ event: string, event_ts?: number, payload: object }} body
+   * @returns {Promise<object>} handler outcome, with `duplicate: true` for a
+   *   repeated delivery and optionally a `broadcast` ({ firebaseUids, admins?, event, data };
+   *   admins: also send it to admins)
+   * @throws {ApiError} webhook_in_progress (409, retryable) while another
+   *   delivery of the event is being handled
+   */
+  async handleEvent(body) {
+    const eventId = this.eventIdOf(body);
+    const ref = this.firestore.collection("zoomWebhookDeliveries").doc(eventId);
+    const claim = await this.firestore.runTransaction(async (tx) => {
+      const snapshot = await tx.get(ref);
+      const delivery = snapshot.exists ? snapshot.data() : null;
+      if (delivery?.handledAt) return "handled";
+      if (delivery && Date.now() - (delivery.claimedAt || 0) < CLAIM_TIMEOUT_MS) {
+        return "in_progress";
+      }
+      tx.set(ref, {
+        event: body?.event || null,
+        claimedAt: Date.now(),
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + DELIVERY_TTL_MS),
+      });
+      return "claimed";
+    });
+
+    if (claim === "handled") {
+      console.log("[webhook] Duplicate delivery ignored", { event: body?.event, eventId });
+      return { eventId, duplicate: true };
+    }
+    if (claim === "in_progress") {
+      // Not acknowledged: if the first attempt fails, Zoom's next retry handles it
+      throw new ApiError("webhook_in_progress", `Zoom event ${eventId} is still being handled`, {
+        status: 409,
+        retryable: true,
+      });
+    }
+
+    try {
+      const outcome = await this._dispatch(body);
+      await ref.set({ handledAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+      return { eventId, ...outcome };
+    } catch (error) {
+      // Let Zoom's retry handle it again
+      await ref.delete().catch(() => {});
+      throw error;
+    }
+  }
+
+  /** @private */
+  async _dispatch(body) {
+    const { event, payload = {} } = body || {};
+
+    switch (event) {
+      case "app_deauthorized":
+        return this._handleDeauthorized(payload);
+      case "meeting.started":
+      case "meeting.ended":
+      case "meeting.deleted":
+        return this._handleMeetingEvent(event, payload);
+      case "meeting.participant_joined":
+      case "meeting.participant_left":
+        return this._handleParticipantEvent(event, payload);
+      default:
+        console.log("[webhook] Ignoring unhandled Zoom event", { event });
+        return { ignored: true };
+    }
+  }
+
+  /**
+   * The user removed our app from their Zoom account: purge their tokens,
+   * record the event and complete Zoom's data-compliance callback.
+   * @private
+   */
+  async _handleDeauthorized(payload) {
+    if (payload.client_id && payload.client_id !== this.zoomService.config.clientId) {
+      console.warn("[webhook] Deauthorization for another client ignored", {
+        clientId: payload.client_id,
+      });
+      return { ignored: true };
+    }
+
+    const { firebaseUids, complianceCompleted } =
+      await this.zoomService.handleDeauthorization(payload);
+
+    await this.firestore.collection("zoomWebhookEvents").add({
+      event: "app_deauthorized",
+      zoomUserId: payload.user_id || null,
+      accountId: payload.account_id || null,
+      deauthorizedAt: payload.deauthorization_time || null,
+      userDataRetention: payload.user_data_retention ?? null,
+      firebaseUids,
+      complianceCompleted,
+      receivedAt: Date.now(),
+    });
+
+    console.log("[webhook] Zoom app deauthorized", {
+      zoomUserId: payload.user_id,
+      firebaseUids,
+      complianceCompleted,
+    });
+    return { firebaseUids, complianceCompleted };
+  }
+
+  /**
+   * Follow a meeting's state at Zoom. Transitions the lifecycle doesn't allow
+   * (e.g. a late meeting.started after meeting.ended) are logged and ignored,
+   * so Zoom doesn't keep redelivering them.
+   * @private
+   */
+  async _handleMeetingEvent(event, payload) {
+    const meeting = payload.object || {};
+    if (!meeting.id) {
+      console.warn("[webhook] Meeting event without a meeting ID ignored", { event });
+      return { ignored: true };
+    }
+    // Deleting single occurrences leaves the recurring meeting scheduled
+    if (event === "meeting.deleted" && meeting.occurrences) {
+      return { ignored: true };
+    }
+
+    let state = "cancelled";
+    if (event === "meeting.started") {
+      state = "live";
+    } else if (event === "meeting.ended") {
+      // A recurring or PMI meeting goes back to waiting for its next use
+      state = REUSABLE_MEETING_TYPES.includes(meeting.type) ? "scheduled" : "ended";
+    }
+
+    const meetingId = String(meeting.id);
+    const result = await this.lifecycle.transition(meetingId, state, {
+      source: `zoom:${event}`,
+      strict: false,
+    });
+    if (event === "meeting.ended") {
+      await this._meetingRef(meetingId).set(
+        { liveParticipants: admin.firestore.FieldValue.delete() },
+        { merge: true }
+      );
+    }
+
+    return {
+      ...result,
+      broadcast: {
+        firebaseUids: await this._audienceOf(meetingId),
+        event: "meeting:state",
+        data: {
+          meetingId,
+          state: result.state,
+          zoomEvent: event,
+          timestamp: new Date().toISOString(),
+        },
+      },
+    };
+  }
+
+  /**
+   * Keep zoomMeetings/{meetingId}.liveParticipants (keyed by Zoom's
+   * participant UUID) in step with who is in the meeting, and record the
+   * join or leave in the attendance of the meeting instance (Zoom's `uuid`).
+   * @private
+   */
+  async _handleParticipantEvent(event, payload) {
+    const meeting = payload.object || {};
+    const participant = meeting.participant || {};
+    const participantId = String(
+      participant.participant_uuid || participant.user_id || participant.id || ""
+    );
+    if (!meeting.id || !participantId) {
+      console.warn("[webhook] Participant event without meeting or participant ignored", {
+        event,
+      });
+      return { ignored: true };
+    }
+
+    const meetingId = String(meeting.id);
+    const joined = event === "meeting.participant_joined";
+    const action = joined ? "joined" : "left";
+    const at = (joined ? participant.join_time : participant.leave_time) || null;
+    const view = {
+      participantId,
+      zoomUserId: participant.id || null,
+      name: participant.user_name || null,
+      email: participant.email || null,
+    };
+    const firebaseUid = await this.attendance.recordEvent(
+      meetingId,
+      action,
+      { ...view, at },
+      meeting.uuid || null
+    );
+    await this._meetingRef(meetingId).set(
+      {
+        liveParticipants: {
+          [participantId]: joined
+            ? { ...view, joinedAt: participant.join_time || new Date().toISOString() }
+            : admin.firestore.FieldValue.delete(),
+        },
+        lastParticipantEventAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    return {
+      meetingId,
+      participantId,
+      broadcast: {
+        firebaseUids: await this._audienceOf(meetingId, { participants: false }),
+        admins: true,
+        event: "meeting:participant",
+        data: {
+          meetingId,
+          action,
+          participant: { ...view, firebaseUid, at },
+          timestamp: new Date().toISOString(),
+        },
+      },
+    };
+  }
+
+  /**
+   * Firebase users following a meeting: its owner/host and, unless
+   * `participants` is false, the users issued tokens for it.
+   * @private
+   */
+  async _audienceOf(meetingId, { participants = true } = {}) {
+    const snapshot = await this._meetingRef(meetingId).get();
+    const data = snapshot.exists ? snapshot.data() : {};
+    const uids = [
+      data.ownerFirebaseUid,
+      data.hostFirebaseUid,
+      ...(participants ? data.participantFirebaseUids || [] : []),
+    ];
+    return [...new Set(uids.filter(Boolean))];
+  }
+
+  /** @private */
+  _meetingRef(meetingId) {
+    return this.firestore.collection("zoomMeetings").doc(meetingId);
+  }
+
+  /** @private */
+  _hmac(message) {
+    return crypto.createHmac("sha256", this.secretToken).update(message).digest("hex");
+  }
+}
+
+module.exports = { ZoomWebhookService };
@@ -0,0 +1,83 @@
+/**
+ * Attendance of recurring / Personal Meeting ID meetings: one report per
+ * Zoom meeting instance.
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FakeFirestore } = require("./helpers/fakeFirestore");
+const { AttendanceService, attendanceCsv } = require("../services/attendanceService");
+
+const MEETING_ID = "81234567890";
+const MONDAY = "monday-instance==";
+const TUESDAY = "tuesday/instance==";
+
+describe("attendance per meeting instance", () => {
+  let attendance;
+
+  const join = (instanceId, participantId, name, at) =>
+    attendance.recordEvent(
+      MEETING_ID,
+      "joined",
+      { participantId, zoomUserId: null, name, email: null, at },
+      instanceId
+    );
+  const leave = (instanceId, participantId, name, at) =>
+    attendance.recordEvent(
+      MEETING_ID,
+      "left",
+      { participantId, zoomUserId: null, name, email: null, at },
+      instanceId
+    );
+
+  beforeEach(async () => {
+    const firestore = new FakeFirestore();
+    attendance = new AttendanceService(firestore, { findFirebaseUids: async () => [] });
+    // A PMI meeting back to scheduled after Tuesday's occurrence
+    await firestore
+      .collection("zoomMeetings")
+      .doc(MEETING_ID)
+      .set({ type: 4, status: "scheduled" });
+
+    await join(MONDAY, "p1", "Ann", "2026-03-02T10:00:00Z");
+    await join(MONDAY, "p2", "Bob", "2026-03-02T10:05:00Z");
+    await leave(MONDAY, "p1", "Ann", "2026-03-02T11:00:00Z");
+    await leave(MONDAY, "p2", "Bob", "2026-03-02T10:35:00Z");
+    await join(TUESDAY, "p3", "Ann", "2026-03-03T10:00:00Z");
+    await leave(TUESDAY, "p3", "Ann", "2026-03-03T10:30:00Z");
+  });
+
+  it("reports the latest instance by default", async () => {
+    const report = await attendance.getAttendance(MEETING_ID);
+    assert.equal(report.instanceId, TUESDAY);
+    assert.deepEqual(
+      report.instances.map(({ instanceId }) => instanceId),
+      [TUESDAY, MONDAY]
+    );
+    assert.deepEqual(
+      report.attendees.map(({ name, durationSeconds }) => [name, durationSeconds]),
+      [["Ann", 1800]]
+    );
+  });
+
+  it("reports an earlier instance on its own", async () => {
+    const report = await attendance.getAttendance(MEETING_ID, { instance: MONDAY });
+    assert.equal(report.instanceId, MONDAY);
+    assert.deepEqual(
+      report.attendees.map(({ name, durationSeconds }) => [name, durationSeconds]),
+      [
+        ["Ann", 3600],
+        ["Bob", 1800],
+      ]
+    );
+    assert.equal(attendanceCsv(report).trim().split("\r\n").length, 3);
+  });
+
+  it("refuses an instance the meeting never had", async () => {
+    await assert.rejects(attendance.getAttendance(MEETING_ID, { instance: "unknown" }), {
+      code: "instance_not_found",
+      status: 404,
+    });
+  });
+});
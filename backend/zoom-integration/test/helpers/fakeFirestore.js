@@ -0,0 +1,267 @@
+/**
+ * In-memory stand-in for the parts of Firestore the services use: documents
+ * and subcollections, set/merge/update/create/delete, simple queries and
+ * transactions, and the FieldValue sentinels (serverTimestamp, arrayUnion,
+ * arrayRemove, increment, delete). Transactions run one at a time, which is
+ * all the tests need of their isolation.
+ */
+
+const admin = require("firebase-admin");
+
+const { Timestamp } = admin.firestore;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && value.constructor === Object;
+}
+
+/** Deep copy that keeps Timestamps (immutable) as they are. */
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, copy(v)]));
+  }
+  return value;
+}
+
+function equal(a, b) {
+  if (a instanceof Timestamp && b instanceof Timestamp) return a.isEqual(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * The value a field takes when `value` is written over `current`.
+ * @returns {*} undefined to remove the field
+ */
+function resolve(current, value) {
+  switch (value?.methodName) {
+    case "FieldValue.serverTimestamp":
+      return Timestamp.now();
+    case "FieldValue.delete":
+      return undefined;
+    case "FieldValue.increment":
+      return (typeof current === "number" ? current : 0) + value.operand;
+    case "FieldValue.arrayUnion": {
+      const result = Array.isArray(current) ? [...current] : [];
+      for (const element of value.elements) {
+        if (!result.some((existing) => equal(existing, element))) result.push(copy(element));
+      }
+      return result;
+    }
+    case "FieldValue.arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (existing) => !value.elements.some((element) => equal(existing, element))
+      );
+    default:
+      if (Array.isArray(value)) return value.map((element) => resolve(undefined, element));
+      if (isPlainObject(value)) return apply({}, value, false);
+      return value;
+  }
+}
+
+/** Write `data` over `target`; `merge` merges nested maps instead of replacing them. */
+function apply(target, data, merge) {
+  for (const [key, value] of Object.entries(data)) {
+    const next =
+      merge && isPlainObject(value) && isPlainObject(target[key])
+        ? apply({ ...target[key] }, value, true)
+        : resolve(target[key], value);
+    if (next === undefined) {
+      delete target[key];
+    } else {
+      target[key] = next;
+    }
+  }
+  return target;
+}
+
+function fieldOf(data, path) {
+  return path.split(".").reduce((value, key) => value?.[key], data);
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+const OPERATORS = {
+  "==": (a, b) => equal(a, b),
+  "!=": (a, b) => !equal(a, b),
+  "<": (a, b) => comparable(a) < comparable(b),
+  "<=": (a, b) => comparable(a) <= comparable(b),
+  ">": (a, b) => comparable(a) > comparable(b),
+  ">=": (a, b) => comparable(a) >= comparable(b),
+  "array-contains": (a, b) => Array.isArray(a) && a.some((element) => equal(element, b)),
+  in: (a, b) => b.some((candidate) => equal(a, candidate)),
+};
+
+class FakeFirestore {
+  constructor() {
+    this.documents = new Map(); // "collection/doc/sub/doc" -> data
+    this.lastTransaction = Promise.resolve();
+    this.nextId = 1;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  async runTransaction(work) {
+    const previous = this.lastTransaction;
+    let finish;
+    this.lastTransaction = new Promise((resolveTurn) => (finish = resolveTurn));
+    await previous;
+    try {
+      return await work({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => ref.set(data, options),
+        create: (ref, data) => ref.create(data),
+        update: (ref, data) => ref.update(data),
+        delete: (ref) => ref.delete(),
+      });
+    } finally {
+      finish();
+    }
+  }
+
+  /** The stored data of a document, for assertions. */
+  data(path) {
+    const data = this.documents.get(path);
+    return data === undefined ? undefined : copy(data);
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this.firestore.documents.get(this.path));
+  }
+
+  async set(data, options = {}) {
+    const current = options.merge ? this.firestore.documents.get(this.path) || {} : {};
+    this.firestore.documents.set(this.path, apply(copy(current), data, Boolean(options.merge)));
+  }
+
+  async create(data) {
+    if (this.firestore.documents.has(this.path)) {
+      throw Object.assign(new Error(`Document already exists: ${this.path}`), { code: 6 });
+    }
+    await this.set(data);
+  }
+
+  async update(data) {
+    const current = this.firestore.documents.get(this.path);
+    if (current === undefined) {
+      throw Object.assign(new Error(`No document to update: ${this.path}`), { code: 5 });
+    }
+    const next = copy(current);
+    for (const [path, value] of Object.entries(data)) {
+      const keys = path.split(".");
+      const parent = keys.slice(0, -1).reduce((object, key) => {
+        if (!isPlainObject(object[key])) object[key] = {};
+        return object[key];
+      }, next);
+      apply(parent, { [keys[keys.length - 1]]: value }, false);
+    }
+    this.firestore.documents.set(this.path, next);
+  }
+
+  async delete() {
+    this.firestore.documents.delete(this.path);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? copy(this._data) : undefined;
+  }
+
+  get(field) {
+    return copy(fieldOf(this._data, field));
+  }
+}
+
+class Query {
+  constructor(firestore, path, filters = [], orders = [], max = null) {
+    this.firestore = firestore;
+    this.path = path;
+    this.filters = filters;
+    this.orders = orders;
+    this.max = max;
+  }
+
+  where(field, operator, value) {
+    if (!OPERATORS[operator]) throw new Error(`Unsupported operator ${operator}`);
+    const filters = [...this.filters, { field, operator, value }];
+    return new Query(this.firestore, this.path, filters, this.orders, this.max);
+  }
+
+  orderBy(field, direction = "asc") {
+    const orders = [...this.orders, { field, direction }];
+    return new Query(this.firestore, this.path, this.filters, orders, this.max);
+  }
+
+  limit(max) {
+    return new Query(this.firestore, this.path, this.filters, this.orders, max);
+  }
+
+  async get() {
+    const depth = this.path.split("/").length + 1;
+    let docs = [...this.firestore.documents.entries()]
+      .filter(([path]) => path.startsWith(`${this.path}/`) && path.split("/").length === depth)
+      .filter(([, data]) =>
+        this.filters.every(({ field, operator, value }) =>
+          OPERATORS[operator](fieldOf(data, field), value)
+        )
+      )
+      .map(
+        ([path, data]) => new DocumentSnapshot(new DocumentReference(this.firestore, path), data)
+      );
+
+    for (const { field, direction } of [...this.orders].reverse()) {
+      const sign = direction === "desc" ? -1 : 1;
+      docs = docs.sort((a, b) => {
+        const x = comparable(fieldOf(a._data, field));
+        const y = comparable(fieldOf(b._data, field));
+        return x === y ? 0 : x < y ? -sign : sign;
+      });
+    }
+    if (this.max !== null) docs = docs.slice(0, this.max);
+
+    return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.id = path.split("/").pop();
+  }
+
+  doc(id) {
+    const docId = id || `auto${this.firestore.nextId++}`;
+    return new DocumentReference(this.firestore, `${this.path}/${docId}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+module.exports = { FakeFirestore };
@@ -0,0 +1,75 @@
+/**
+ * Meeting lifecycle as the routes drive it: issuing a ZAK records the host
+ * but leaves the meeting scheduled; only Zoom's meeting.started makes it live.
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FakeFirestore } = require("./helpers/fakeFirestore");
+const { MeetingLifecycle } = require("../services/meetingLifecycle");
+const { MeetingMetadata } = require("../services/meetingMetadata");
+const { MeetingService } = require("../services/meetingService");
+const { ZoomWebhookService } = require("../services/zoomWebhookService");
+
+const MEETING_ID = "81234567890";
+const OWNER = { uid: "owner_uid", email: "owner@example.com" };
+
+describe("meeting lifecycle", () => {
+  let firestore;
+  let lifecycle;
+  let meetings;
+  let webhooks;
+  let zoomDeletes;
+
+  beforeEach(async () => {
+    firestore = new FakeFirestore();
+    lifecycle = new MeetingLifecycle(firestore);
+    zoomDeletes = [];
+    const zoomService = {
+      baseURL: "https://api.zoom.us/v2",
+      getAccessForCapability: async () => ({ accessToken: "access", zoomUserId: "zoom_owner" }),
+      http: { delete: async (endpoint, url) => zoomDeletes.push(url) },
+    };
+    meetings = new MeetingService(zoomService, firestore, lifecycle);
+    webhooks = new ZoomWebhookService("secret", firestore, zoomService, lifecycle, null);
+
+    // As scheduled through POST /api/meetings
+    await firestore.collection("zoomMeetings").doc(MEETING_ID).set({
+      ownerFirebaseUid: OWNER.uid,
+      hostZoomUserId: "zoom_owner",
+      type: 2,
+      status: "scheduled",
+    });
+  });
+
+  it("lets the owner cancel a meeting whose ZAK was issued but never used", async () => {
+    // What /meetings/start records when it hands out the ZAK
+    await new MeetingMetadata(firestore).recordZak(MEETING_ID, OWNER, {
+      hostFirebaseUid: OWNER.uid,
+      zoomUserId: "zoom_owner",
+    });
+    assert.equal((await lifecycle.getState(MEETING_ID)).state, "scheduled");
+
+    assert.deepEqual(await meetings.cancelMeeting(OWNER.uid, MEETING_ID), {
+      meetingId: MEETING_ID,
+      status: "cancelled",
+    });
+    assert.equal((await lifecycle.getState(MEETING_ID)).state, "cancelled");
+    assert.equal(zoomDeletes.length, 1);
+  });
+
+  it("goes live on meeting.started, after which it can no longer be cancelled", async () => {
+    const outcome = await webhooks.handleEvent({
+      event: "meeting.started",
+      event_ts: Date.now(),
+      payload: { object: { id: Number(MEETING_ID), type: 2 } },
+    });
+    assert.equal(outcome.state, "live");
+
+    await assert.rejects(meetings.cancelMeeting(OWNER.uid, MEETING_ID), {
+      code: "invalid_state_transition",
+    });
+    assert.equal(zoomDeletes.length, 0);
+  });
+});
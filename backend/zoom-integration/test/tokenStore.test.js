@@ -0,0 +1,163 @@
+/**
+ * Contract tests for the memory and file token stores: both must behave as
+ * the Firestore store does for ZoomTokenService (see services/tokenStore.js).
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { MemoryTokenStore, FileTokenStore, createTokenStores } = require("../services/tokenStore");
+
+const backends = {
+  memory: () => ({ create: () => new MemoryTokenStore(), cleanup: () => {} }),
+  file: () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "zoom-token-store-"));
+    const filePath = path.join(directory, "zoomTokens.json");
+    return {
+      create: () => new FileTokenStore(filePath),
+      cleanup: () => fs.rmSync(directory, { recursive: true, force: true }),
+    };
+  },
+};
+
+for (const [name, setup] of Object.entries(backends)) {
+  describe(`${name} token store`, () => {
+    let backend;
+    let store;
+
+    beforeEach(() => {
+      backend = setup();
+      store = backend.create();
+    });
+
+    afterEach(() => backend.cleanup());
+
+    it("returns null for a missing key", async () => {
+      assert.equal(await store.get("missing"), null);
+    });
+
+    it("stores, replaces and deletes records", async () => {
+      await store.set("uid_1", { zoomUserId: "z1", isDefault: true });
+      assert.deepEqual(await store.get("uid_1"), { zoomUserId: "z1", isDefault: true });
+
+      await store.set("uid_1", { zoomUserId: "z2" });
+      assert.deepEqual(await store.get("uid_1"), { zoomUserId: "z2" });
+
+      await store.delete("uid_1");
+      assert.equal(await store.get("uid_1"), null);
+    });
+
+    it("hands out copies, not the stored records", async () => {
+      const record = { zoomUserId: "z1", scopes: ["user:read:zak"] };
+      await store.set("uid_1", record);
+      record.scopes.push("meeting:write");
+
+      const read = await store.get("uid_1");
+      read.zoomUserId = "changed";
+      assert.deepEqual(await store.get("uid_1"), { zoomUserId: "z1", scopes: ["user:read:zak"] });
+    });
+
+    it("lists records matching every filter field", async () => {
+      await store.set("uid_1:z1", { firebaseUid: "uid_1", isDefault: true });
+      await store.set("uid_1:z2", { firebaseUid: "uid_1", isDefault: false });
+      await store.set("uid_2:z3", { firebaseUid: "uid_2", isDefault: true });
+
+      const keys = async (filter) => (await store.list(filter)).map(({ key }) => key).sort();
+      assert.deepEqual(await keys({ firebaseUid: "uid_1" }), ["uid_1:z1", "uid_1:z2"]);
+      assert.deepEqual(await keys({ firebaseUid: "uid_1", isDefault: true }), ["uid_1:z1"]);
+      assert.deepEqual(await keys(), ["uid_1:z1", "uid_1:z2", "uid_2:z3"]);
+    });
+
+    describe("update (transaction)", () => {
+      it("creates, modifies and deletes through the mutator", async () => {
+        const increment = (current) => ({ count: (current?.count || 0) + 1 });
+        assert.deepEqual(await store.update("k", increment), { count: 1 });
+        assert.deepEqual(await store.update("k", increment), { count: 2 });
+        assert.equal(await store.update("k", () => null), null);
+        assert.equal(await store.get("k"), null);
+      });
+
+      it("leaves the record as it is when the mutator returns undefined", async () => {
+        await store.set("k", { count: 1 });
+        assert.deepEqual(await store.update("k", () => undefined), { count: 1 });
+        assert.deepEqual(await store.get("k"), { count: 1 });
+      });
+
+      it("writes nothing when the mutator throws", async () => {
+        await store.set("k", { count: 1 });
+        await assert.rejects(
+          store.update("k", () => {
+            throw new Error("refused");
+          }),
+          /refused/
+        );
+        assert.deepEqual(await store.get("k"), { count: 1 });
+      });
+
+      it("loses no increments under concurrent updates", async () => {
+        await Promise.all(
+          Array.from({ length: 20 }, () =>
+            store.update("k", (current) => ({ count: (current?.count || 0) + 1 }))
+          )
+        );
+        assert.deepEqual(await store.get("k"), { count: 20 });
+      });
+    });
+
+    it("grants a lease to exactly one of several concurrent claimants", async () => {
+      // The refresh lease ZoomTokenService takes before a token refresh
+      await store.set("uid_1:z1", { zoomUserId: "z1", refreshLease: null });
+      const claim = (id) =>
+        store.update("uid_1:z1", (current) =>
+          current.refreshLease && current.refreshLease.expiresAt > Date.now()
+            ? undefined
+            : { ...current, refreshLease: { id, expiresAt: Date.now() + 30_000 } }
+        );
+
+      const results = await Promise.all(["a", "b", "c"].map(claim));
+      const holder = (await store.get("uid_1:z1")).refreshLease.id;
+      assert.ok(["a", "b", "c"].includes(holder));
+      // The others see the winner's lease and back off
+      assert.deepEqual(
+        results.map((record) => record.refreshLease.id),
+        [holder, holder, holder]
+      );
+
+      // Released, the next claimant gets it
+      await store.update("uid_1:z1", (current) =>
+        current.refreshLease?.id === holder ? { ...current, refreshLease: null } : undefined
+      );
+      await claim("d");
+      assert.equal((await store.get("uid_1:z1")).refreshLease.id, "d");
+    });
+
+    if (name === "file") {
+      it("keeps records across instances", async () => {
+        await store.set("uid_1", { zoomUserId: "z1" });
+        await store.update("uid_2", () => ({ zoomUserId: "z2" }));
+        await store.delete("uid_1");
+
+        const reopened = backend.create();
+        assert.equal(await reopened.get("uid_1"), null);
+        assert.deepEqual(await reopened.get("uid_2"), { zoomUserId: "z2" });
+      });
+    }
+  });
+}
+
+describe("createTokenStores", () => {
+  it("builds one store per collection", () => {
+    const stores = createTokenStores({ backend: "memory" });
+    assert.deepEqual(Object.keys(stores).sort(), ["jobs", "oauthStates", "tokens", "userMappings"]);
+    assert.ok(stores.tokens instanceof MemoryTokenStore);
+    assert.notEqual(stores.tokens, stores.jobs);
+  });
+
+  it("refuses unknown backends and Firestore without an instance", () => {
+    assert.throws(() => createTokenStores({ backend: "redis" }), /Unknown token store backend/);
+    assert.throws(() => createTokenStores({ backend: "firestore" }), /requires a Firestore/);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * ZoomHttpClient's handling of Zoom's rate-limit headers. Requests are
+ * answered by swapping axios.request for a queue of canned responses.
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+
+const { ZoomHttpClient } = require("../services/zoomHttpClient");
+const { ZoomRateLimitError } = require("../services/errors");
+
+const ENDPOINT = "GET /users/:userId/token";
+
+describe("ZoomHttpClient rate limits", () => {
+  const originalRequest = axios.request;
+  let answers;
+  let sent;
+
+  beforeEach(() => {
+    answers = [];
+    sent = 0;
+    axios.request = async () => {
+      sent++;
+      return answers.shift();
+    };
+  });
+
+  afterEach(() => {
+    axios.request = originalRequest;
+  });
+
+  it("keeps sending while the limit has requests left", async () => {
+    const client = new ZoomHttpClient();
+    answers.push({ status: 200, headers: { "x-ratelimit-remaining": "5" } });
+    answers.push({ status: 200, headers: {} });
+
+    await client.get(ENDPOINT, "/users/me/token");
+    await client.get(ENDPOINT, "/users/me/token");
+    assert.equal(sent, 2);
+    assert.equal(client.getStats().endpoints[ENDPOINT].pausedUntil, null);
+  });
+
+  it("holds off until midnight UTC once a daily limit is used up", async () => {
+    const client = new ZoomHttpClient();
+    answers.push({
+      status: 200,
+      headers: { "x-ratelimit-type": "Daily-limit", "x-ratelimit-remaining": "0" },
+    });
+
+    await client.get(ENDPOINT, "/users/me/token");
+    const stats = client.getStats().endpoints[ENDPOINT];
+    assert.equal(stats.rateLimitType, "Daily-limit");
+    assert.equal(new Date(stats.pausedUntil).toISOString().slice(11), "00:00:00.000Z");
+
+    // Zoom is not asked again until the limit resets
+    await assert.rejects(client.get(ENDPOINT, "/users/me/token"), ZoomRateLimitError);
+    assert.equal(sent, 1);
+  });
+
+  it("waits out a used-up per-second limit before the next request", async () => {
+    const client = new ZoomHttpClient({ rateLimitPauseMs: 50 });
+    answers.push({
+      status: 200,
+      headers: { "x-ratelimit-type": "QPS", "x-ratelimit-remaining": "0" },
+    });
+    answers.push({ status: 200, headers: {} });
+
+    await client.get(ENDPOINT, "/users/me/token");
+    const started = Date.now();
+    await client.get(ENDPOINT, "/users/me/token");
+    assert.ok(Date.now() - started >= 45);
+    assert.equal(sent, 2);
+  });
+});
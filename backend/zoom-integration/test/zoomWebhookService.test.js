@@ -0,0 +1,71 @@
+/**
+ * Who ZoomWebhookService's WebSocket broadcasts go to.
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FakeFirestore } = require("./helpers/fakeFirestore");
+const { MeetingLifecycle } = require("../services/meetingLifecycle");
+const { ZoomWebhookService } = require("../services/zoomWebhookService");
+
+const MEETING_ID = "81234567890";
+
+describe("webhook broadcasts", () => {
+  let webhooks;
+
+  beforeEach(async () => {
+    const firestore = new FakeFirestore();
+    const attendance = { recordEvent: async () => "participant_uid" };
+    webhooks = new ZoomWebhookService(
+      "secret",
+      firestore,
+      {},
+      new MeetingLifecycle(firestore),
+      attendance
+    );
+    await firestore.collection("zoomMeetings").doc(MEETING_ID).set({
+      ownerFirebaseUid: "owner_uid",
+      hostFirebaseUid: "host_uid",
+      participantFirebaseUids: ["participant_uid", "other_uid"],
+    });
+  });
+
+  it("sends meeting state changes to the host and everyone issued tokens", async () => {
+    const { broadcast } = await webhooks.handleEvent({
+      event: "meeting.started",
+      event_ts: 1,
+      payload: { object: { id: Number(MEETING_ID), type: 2 } },
+    });
+    assert.equal(broadcast.event, "meeting:state");
+    assert.deepEqual(broadcast.firebaseUids.sort(), [
+      "host_uid",
+      "other_uid",
+      "owner_uid",
+      "participant_uid",
+    ]);
+    assert.ok(!broadcast.admins);
+  });
+
+  it("keeps participants' names and emails to the owner/host and admins", async () => {
+    const { broadcast } = await webhooks.handleEvent({
+      event: "meeting.participant_joined",
+      event_ts: 2,
+      payload: {
+        object: {
+          id: Number(MEETING_ID),
+          participant: {
+            participant_uuid: "p1",
+            user_name: "Ann",
+            email: "ann@example.com",
+            join_time: "2026-01-01T10:00:00Z",
+          },
+        },
+      },
+    });
+    assert.equal(broadcast.event, "meeting:participant");
+    assert.equal(broadcast.data.participant.email, "ann@example.com");
+    assert.deepEqual(broadcast.firebaseUids.sort(), ["host_uid", "owner_uid"]);
+    assert.equal(broadcast.admins, true);
+  });
+});
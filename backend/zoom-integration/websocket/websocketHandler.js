@@ -3,12 +3,41 @@
  *
  * Updated to work with the per-user OAuth ZoomTokenService that takes
  * Firebase UIDs (matching backend/functions/index.js architecture).
+ *
+ * Sockets authenticate with a Firebase ID token; role checks, token
+ * requests for another user and meeting invitations go through the same
+ * checks as the HTTP routes.
  */
 
 const socketIO = require("socket.io");
+const { AuthenticationError } = require("../services/errors");
+
+// Room of admins' sockets, for events admins see on every meeting
+const ADMINS_ROOM = "admins";
 
 class WebSocketHandler {
-  constructor(server, zoomService) {
+  /**
+   * @param {import("http").Server} server
+   * @param {import("../services/zoomTokenService").ZoomTokenService} zoomService
+   * @param {{ meetingService: import("../services/meetingService").MeetingService,
+   *   lifecycle: import("../services/meetingLifecycle").MeetingLifecycle,
+   *   meetingMetadata: import("../services/meetingMetadata").MeetingMetadata,
+   *   authorization: import("../services/authorizationService").AuthorizationService,
+   *   invitations: import("../services/invitationService").InvitationService,
+   *   audit: import("../services/auditLog").AuditLog,
+   *   verifyUser: (idToken: string) => Promise<object> }} deps
+   *   - meetingService verifies hosts before a ZAK is sent
+   *   - lifecycle refuses tokens for meetings that are over
+   *   - meetingMetadata records hosts and recipients on zoomMeetings, as the HTTP routes do
+   *   - invitations limits OBF tokens to a meeting's invitees
+   *   - audit records every token sent (or refused)
+   *   - verifyUser checks a Firebase ID token (as the HTTP middleware does)
+   */
+  constructor(
+    server,
+    zoomService,
+    { meetingService, lifecycle, meetingMetadata, authorization, invitations, audit, verifyUser }
+  ) {
     this.io = socketIO(server, {
       cors: {
         origin: process.env.CORS_ORIGIN || "*",
@@ -17,6 +46,13 @@ class WebSocketHandler {
     });
 
     this.zoomService = zoomService;
+    this.meetingService = meetingService;
+    this.lifecycle = lifecycle;
+    this.meetingMetadata = meetingMetadata;
+    this.authorization = authorization;
+    this.invitations = invitations;
+    this.audit = audit;
+    this.verifyUser = verifyUser;
     this.connectedUsers = new Map(); // firebaseUid -> socketId mapping
 
     this.setupEventHandlers();
@@ -26,133 +62,255 @@ class WebSocketHandler {
     this.io.on("connection", (socket) => {
       console.log(`[ws] Client connected: ${socket.id}`);
 
-      // User authentication/identification (Firebase UID)
-      socket.on("authenticate", (data) => {
-        const { userId } = data; // This is the Firebase UID
-        if (userId) {
-          socket.join(`user:${userId}`);
-          this.connectedUsers.set(userId, socket.id);
-          console.log(`[ws] User authenticated: ${userId} -> ${socket.id}`);
+      // User authentication with a Firebase ID token
+      socket.on("authenticate", async (data) => {
+        const idToken = data?.idToken;
+        if (!idToken) {
+          this.emitError(socket, "idToken (Firebase ID token) required for authentication");
+          return;
+        }
+
+        try {
+          const user = await this.verifyUser(idToken);
+          // Re-authenticating as someone else: stop receiving the old user's events
+          const previous = socket.data.user;
+          if (previous && previous.uid !== user.uid) {
+            socket.leave(`user:${previous.uid}`);
+            if (this.connectedUsers.get(previous.uid) === socket.id) {
+              this.connectedUsers.delete(previous.uid);
+            }
+          }
+          socket.data.user = user;
+          socket.join(`user:${user.uid}`);
+          if (this.authorization.isAdmin(user)) {
+            socket.join(ADMINS_ROOM);
+          } else {
+            socket.leave(ADMINS_ROOM);
+          }
+          this.connectedUsers.set(user.uid, socket.id);
+          console.log(`[ws] User authenticated: ${user.uid} -> ${socket.id}`);
 
           socket.emit("authenticated", {
             success: true,
-            userId,
+            userId: user.uid,
             socketId: socket.id,
             timestamp: new Date().toISOString(),
           });
-        } else {
-          socket.emit("error", { message: "userId (Firebase UID) required for authentication" });
+        } catch (error) {
+          this.emitError(socket, "Authentication failed", error);
         }
       });
 
-      // Host requests to start a meeting (firebaseUid-based)
+      // Host requests to start a meeting (firebaseUid-based, defaulting to
+      // the socket's user; optional zoomUserId selects one of the host's
+      // linked Zoom accounts)
       socket.on("meeting:start", async (data) => {
-        const { meetingId, hostFirebaseUid } = data;
+        const actor = this.requireUser(socket);
+        if (!actor) return;
+        // Clients may emit the event without a payload
+        const { meetingId, zoomUserId: selectedZoomUserId, hostFirebaseUid: requestedUid } =
+          data || {};
+        const hostFirebaseUid = requestedUid || actor.uid;
 
         console.log(`[ws] Meeting start request from ${hostFirebaseUid}`);
 
-        if (!meetingId || !hostFirebaseUid) {
-          socket.emit("error", { message: "meetingId and hostFirebaseUid are required" });
+        if (!meetingId) {
+          this.emitError(socket, "meetingId is required");
           return;
         }
 
         try {
-          const { zakToken, zoomUserId } =
-            await this.zoomService.getZAKToken(hostFirebaseUid);
+          await this.authorization.assertRole(actor, ["host"], {
+            action: "meetings.start",
+            channel: "websocket",
+            meetingId,
+            ip: socket.handshake.address,
+          });
+          await this.authorization.assertCanActFor(actor, hostFirebaseUid, {
+            action: "meetings.start",
+            channel: "websocket",
+            meetingId,
+            ip: socket.handshake.address,
+          });
+          await this.lifecycle.assertOpen(meetingId);
+          const verified = await this.meetingService.verifyHost(hostFirebaseUid, meetingId, {
+            zoomUserId: selectedZoomUserId,
+          });
+          const { zakToken, zoomUserId, expiresAt, expiresIn } = await this.zoomService.getZAKToken(
+            hostFirebaseUid,
+            { zoomUserId: verified.zoomUserId }
+          );
+          await this.meetingMetadata.recordZak(meetingId, actor, { hostFirebaseUid, zoomUserId });
 
           socket.emit("meeting:started", {
             meetingId,
             host: zoomUserId,
             zakToken,
+            expiresAt,
+            expiresIn,
             timestamp: new Date().toISOString(),
           });
 
           console.log(`[ws] ZAK token sent to host`);
+          await this.audit.record("token.zak", this.auditContext(socket), {
+            subjectUid: hostFirebaseUid,
+            meetingId,
+            zoomUserId,
+          });
         } catch (error) {
           console.error(`[ws] Error fetching ZAK token: ${error.message}`);
-          socket.emit("error", {
-            message: "Failed to start meeting",
-            error: error.message,
+          await this.audit.record("token.zak", this.auditContext(socket), {
+            subjectUid: hostFirebaseUid,
+            meetingId,
+            error,
           });
+          this.emitError(socket, "Failed to start meeting", error);
         }
       });
 
-      // Participant requests to join a meeting (firebaseUid-based)
+      // Participant requests to join a meeting (firebaseUid-based, defaulting
+      // to the socket's user; optional zoomUserId selects one of the
+      // participant's linked Zoom accounts). The participant must be invited.
       socket.on("meeting:join", async (data) => {
-        const { meetingId, participantFirebaseUid } = data;
+        const actor = this.requireUser(socket);
+        if (!actor) return;
+        const {
+          meetingId,
+          zoomUserId: selectedZoomUserId,
+          participantFirebaseUid: requestedUid,
+        } = data || {};
+        const participantFirebaseUid = requestedUid || actor.uid;
 
         console.log(`[ws] Join request from ${participantFirebaseUid}`);
 
-        if (!meetingId || !participantFirebaseUid) {
-          socket.emit("error", {
-            message: "meetingId and participantFirebaseUid are required",
-          });
+        if (!meetingId) {
+          this.emitError(socket, "meetingId is required");
           return;
         }
 
         try {
-          const { obfToken, zoomUserId } = await this.zoomService.getOBFToken(
+          await this.authorization.assertRole(actor, ["participant", "host"], {
+            action: "meetings.join",
+            channel: "websocket",
+            meetingId,
+            ip: socket.handshake.address,
+          });
+          await this.authorization.assertCanActFor(actor, participantFirebaseUid, {
+            action: "meetings.join",
+            channel: "websocket",
+            meetingId,
+            ip: socket.handshake.address,
+          });
+          await this.lifecycle.assertOpen(meetingId);
+          await this.invitations.assertInvited(meetingId, participantFirebaseUid, {
+            user: actor,
+            actor,
+            context: {
+              action: "meetings.join",
+              channel: "websocket",
+              ip: socket.handshake.address,
+            },
+          });
+          const { obfToken, zoomUserId, expiresAt, expiresIn } = await this.zoomService.getOBFToken(
             participantFirebaseUid,
-            meetingId
+            meetingId,
+            { zoomUserId: selectedZoomUserId }
           );
+          await this.meetingMetadata.recordObf(meetingId, actor, {
+            firebaseUid: participantFirebaseUid,
+            zoomUserId,
+          });
 
           socket.emit("meeting:credentials", {
             meetingId,
             participant: zoomUserId,
             obfToken,
+            expiresAt,
+            expiresIn,
             timestamp: new Date().toISOString(),
           });
 
           console.log(`[ws] OBF token sent to participant`);
+          await this.audit.record("token.obf", this.auditContext(socket), {
+            subjectUid: participantFirebaseUid,
+            meetingId,
+            zoomUserId,
+          });
         } catch (error) {
           console.error(`[ws] Error fetching OBF token: ${error.message}`);
-          socket.emit("error", {
-            message: "Failed to join meeting",
-            error: error.message,
+          await this.audit.record("token.obf", this.auditContext(socket), {
+            subjectUid: participantFirebaseUid,
+            meetingId,
+            error,
           });
+          this.emitError(socket, "Failed to join meeting", error);
         }
       });
 
-      // Host distributes tokens to specific participants (firebaseUid-based)
+      // Host distributes tokens to specific participants (firebaseUid-based);
+      // same rules as POST /api/meetings/setup
       socket.on("meeting:distribute", async (data) => {
-        const { meetingId, hostFirebaseUid, participantFirebaseUids } = data;
+        const actor = this.requireUser(socket);
+        if (!actor) return;
+        const { meetingId, participantFirebaseUids, hostFirebaseUid: requestedUid } = data || {};
+        const hostFirebaseUid = requestedUid || actor.uid;
 
         console.log(
           `[ws] Token distribution for ${participantFirebaseUids?.length || 0} participants`
         );
 
-        if (
-          !meetingId ||
-          !hostFirebaseUid ||
-          !Array.isArray(participantFirebaseUids)
-        ) {
-          socket.emit("error", { message: "Invalid request format" });
+        if (!meetingId || !Array.isArray(participantFirebaseUids)) {
+          this.emitError(socket, "Invalid request format");
           return;
         }
 
         try {
+          await this.authorization.assertRole(actor, ["host"], {
+            action: "meetings.setup",
+            channel: "websocket",
+            meetingId,
+            ip: socket.handshake.address,
+          });
+          await this.authorization.assertCanActFor(actor, hostFirebaseUid, {
+            action: "meetings.setup",
+            channel: "websocket",
+            meetingId,
+            ip: socket.handshake.address,
+          });
+          await this.lifecycle.assertOpen(meetingId);
+          await this.meetingService.verifyHost(hostFirebaseUid, meetingId);
+          const { invited, refused } = await this.invitations.partitionInvited(
+            meetingId,
+            participantFirebaseUids
+          );
           const tokens = await this.zoomService.getMeetingTokens(
             hostFirebaseUid,
             meetingId,
-            participantFirebaseUids
+            invited
           );
+          tokens.failed.push(...refused);
+          await this.meetingMetadata.recordMeetingTokens(meetingId, actor, hostFirebaseUid, tokens);
 
           // Send ZAK to host
           socket.emit("meeting:started", {
             meetingId,
             host: tokens.host.userId,
             zakToken: tokens.host.zakToken,
+            expiresAt: tokens.host.expiresAt,
+            expiresIn: tokens.host.expiresIn,
             timestamp: tokens.timestamp,
           });
 
           // Send OBF to each participant if connected
           tokens.participants.forEach((participant) => {
             this.io
-              .to(`user:${participant.userId}`)
+              .to(`user:${participant.firebaseUid}`)
               .emit("meeting:credentials", {
                 meetingId,
                 participant: participant.userId,
                 obfToken: participant.obfToken,
+                expiresAt: participant.expiresAt,
+                expiresIn: participant.expiresIn,
                 timestamp: tokens.timestamp,
               });
           });
@@ -169,12 +327,25 @@ class WebSocketHandler {
           console.log(
             `[ws] Tokens distributed to ${tokens.participants.length} participants`
           );
+          const context = this.auditContext(socket);
+          await this.audit.record("token.zak", context, {
+            subjectUid: hostFirebaseUid,
+            meetingId,
+            zoomUserId: tokens.host.userId,
+          });
+          await this.audit.recordObfResults(context, meetingId, {
+            issued: tokens.participants,
+            failed: tokens.failed,
+            refused,
+          });
         } catch (error) {
           console.error(`[ws] Error distributing tokens: ${error.message}`);
-          socket.emit("error", {
-            message: "Failed to distribute tokens",
-            error: error.message,
+          await this.audit.record("token.zak", this.auditContext(socket), {
+            subjectUid: hostFirebaseUid,
+            meetingId,
+            error,
           });
+          this.emitError(socket, "Failed to distribute tokens", error);
         }
       });
 
@@ -200,10 +371,59 @@ class WebSocketHandler {
     console.log("[ws] WebSocket server initialized");
   }
 
+  /**
+   * The socket's verified Firebase user; emits an `unauthenticated` error
+   * and returns null if it hasn't authenticated yet.
+   */
+  requireUser(socket) {
+    if (socket.data.user) return socket.data.user;
+    this.emitError(
+      socket,
+      "Not authenticated",
+      new AuthenticationError("Send authenticate with a Firebase ID token first")
+    );
+    return null;
+  }
+
+  /**
+   * Who sent a socket's events, for audit log entries.
+   */
+  auditContext(socket) {
+    return { actor: socket.data.user, channel: "websocket", ip: socket.handshake.address };
+  }
+
+  /**
+   * Emit an "error" event with the same `code`/`retryable` fields as HTTP
+   * error responses. Without `error` it is a request validation failure.
+   */
+  emitError(socket, message, error) {
+    socket.emit("error", {
+      message,
+      ...(error ? { error: error.message } : {}),
+      code: error ? error.code || "internal_error" : "invalid_request",
+      retryable: Boolean(error?.retryable),
+    });
+  }
+
   sendToUser(userId, event, data) {
     this.io.to(`user:${userId}`).emit(event, data);
   }
 
+  /**
+   * Send one event to several users (and, with `admins`, every admin) in a
+   * single emit, so a socket in more than one of their rooms gets it once.
+   * @param {string[]} userIds - Firebase UIDs
+   * @param {string} event
+   * @param {object} data
+   * @param {{ admins?: boolean }} [options]
+   */
+  sendToUsers(userIds, event, data, { admins = false } = {}) {
+    const rooms = [...userIds.map((uid) => `user:${uid}`), ...(admins ? [ADMINS_ROOM] : [])];
+    if (rooms.length > 0) {
+      this.io.to(rooms).emit(event, data);
+    }
+  }
+
   broadcast(event, data) {
     this.io.emit(event, data);
   }